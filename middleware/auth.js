@@ -1,14 +1,20 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Role = require('../models/Role');
+const Session = require('../models/Session');
+const { hasPermission } = require('../utils/permissions');
 
-// Protect routes - require authentication
-exports.protect = async (req, res, next) => {
-  let token;
-
+// Read the bearer token from the Authorization header
+const getBearerToken = (req) => {
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    token = req.headers.authorization.split(' ')[1];
+    return req.headers.authorization.split(' ')[1];
   }
+  return undefined;
+};
+
+// Protect routes - require authentication
+exports.protect = async (req, res, next) => {
+  const token = getBearerToken(req);
 
   // Make sure token exists
   if (!token) {
@@ -39,7 +45,17 @@ exports.protect = async (req, res, next) => {
       });
     }
 
+    // Make sure the session behind the token has not been revoked
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+    if (!session || !session.isActive() || session.user.toString() !== user._id.toString()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked'
+      });
+    }
+
     req.user = user;
+    req.authSession = session;
     next();
   } catch (err) {
     return res.status(401).json({
@@ -49,8 +65,30 @@ exports.protect = async (req, res, next) => {
   }
 };
 
-// Grant access to specific roles
-exports.authorize = (...roles) => {
+// Identify the user if a valid token is sent, but never reject the request
+exports.optionalAuth = async (req, res, next) => {
+  const token = getBearerToken(req);
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.id).populate('role');
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+
+    if (user && user.isActive && session && session.isActive() && session.user.toString() === user._id.toString()) {
+      req.user = user;
+      req.authSession = session;
+    }
+  } catch (err) {
+    // Treat invalid tokens as anonymous
+  }
+  next();
+};
+
+// Grant access to users whose role holds every listed permission
+exports.requirePermission = (...permissions) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -59,29 +97,35 @@ exports.authorize = (...roles) => {
       });
     }
 
-    if (!roles.includes(req.user.role.name)) {
+    const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+    if (missing.length > 0) {
       return res.status(403).json({
         success: false,
-        message: `User role ${req.user.role.name} is not authorized to access this route`
+        message: `Missing required permission: ${missing.join(', ')}`
       });
     }
     next();
   };
 };
 
-// Check if user is admin
-exports.isAdmin = (req, res, next) => {
-  if (!req.user || req.user.role.name !== 'admin') {
+// Refuse unverified accounts when email verification is required
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true') {
+    return next();
+  }
+
+  if (!req.user || !req.user.isEmailVerified) {
     return res.status(403).json({
       success: false,
-      message: 'Admin access required'
+      message: 'Please verify your email address first'
     });
   }
   next();
 };
 
-// Check if user is the author of a resource
-exports.isAuthor = (model) => {
+// Check if user is the author of a resource, or holds a permission that
+// allows acting on anyone's resource
+exports.isAuthor = (model, overridePermission) => {
   return async (req, res, next) => {
     try {
       const resource = await model.findById(req.params.id);
@@ -93,8 +137,11 @@ exports.isAuthor = (model) => {
         });
       }
 
-      // Check if user is the author or an admin
-      if (resource.author.toString() !== req.user._id.toString() && req.user.role.name !== 'admin') {
+      // Check if user is the author or holds the override permission
+      const isOwner = resource.author.toString() === req.user._id.toString();
+      const canOverride = Boolean(overridePermission) && hasPermission(req.user, overridePermission);
+
+      if (!isOwner && !canOverride) {
         return res.status(403).json({
           success: false,
           message: 'Not authorized to modify this resource'
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// A post saved to a user's reading list
+const bookmarkSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+bookmarkSchema.index({ user: 1, post: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Bookmark', bookmarkSchema);
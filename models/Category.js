@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { slugPlugin } = require('../utils/slug');
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -12,7 +13,23 @@ const categorySchema = new mongoose.Schema({
     type: String,
     maxlength: [200, 'Description cannot be more than 200 characters']
   },
-
+  // Parent category; null for top-level categories
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Position among siblings, lowest first
+  order: {
+    type: Number,
+    default: 0
+  },
+  // Hold new comments for review: true/false, or null to defer to the
+  // COMMENT_PREMODERATION setting
+  premoderateComments: {
+    type: Boolean,
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -21,6 +38,29 @@ const categorySchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Index for better query performance
+categorySchema.index({ parent: 1, order: 1, name: 1 });
+
+// Slug generated from the name, with history for redirects
+categorySchema.plugin(slugPlugin, { sourceField: 'name' });
+
+// Ids of every category below this one, at any depth
+categorySchema.statics.getDescendantIds = async function(categoryId) {
+  const [result] = await this.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(categoryId) } },
+    {
+      $graphLookup: {
+        from: 'categories',
+        startWith: '$_id',
+        connectFromField: '_id',
+        connectToField: 'parent',
+        as: 'descendants'
+      }
+    },
+    { $project: { ids: '$descendants._id' } }
+  ]);
 
+  return result ? result.ids : [];
+};
 
 module.exports = mongoose.model('Category', categorySchema); 
\ No newline at end of file
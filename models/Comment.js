@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { softDeletePlugin } = require('../utils/softDelete');
 
 const commentSchema = new mongoose.Schema({
   text: {
@@ -22,6 +23,11 @@ const commentSchema = new mongoose.Schema({
     ref: 'Comment',
     default: null
   },
+  // Nesting level; top-level comments are 0
+  depth: {
+    type: Number,
+    default: 0
+  },
   replies: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Comment'
@@ -30,10 +36,43 @@ const commentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Mirrors likes.length so threads can be sorted by most liked
+  likesCount: {
+    type: Number,
+    default: 0
+  },
+  // Kept in step with moderationStatus; readers only see approved comments
   isApproved: {
     type: Boolean,
     default: true
   },
+  moderationStatus: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'approved'
+  },
+  rejectionReason: {
+    type: String,
+    maxlength: [500, 'Rejection reason cannot be more than 500 characters'],
+    default: null
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  moderatedAt: {
+    type: Date,
+    default: null
+  },
+  // Result of the content filters when the comment was last written
+  spamScore: {
+    type: Number,
+    default: 0
+  },
+  filterFlags: [{
+    type: String
+  }],
   isEdited: {
     type: Boolean,
     default: false
@@ -45,5 +84,52 @@ const commentSchema = new mongoose.Schema({
 // Index for better query performance
 commentSchema.index({ post: 1, createdAt: -1 });
 commentSchema.index({ author: 1, createdAt: -1 });
+commentSchema.index({ moderationStatus: 1, createdAt: 1 });
+commentSchema.index({ post: 1, parentComment: 1, isApproved: 1, createdAt: -1 });
+
+// Deleted comments are kept until the purge job removes them
+commentSchema.plugin(softDeletePlugin);
+
+// Conditions for comments that belong in a thread: live ones, plus deleted
+// ones with replies, which stay as placeholders so the thread holds
+// together. Query with { withDeleted: true } to use it.
+commentSchema.statics.threadFilter = function() {
+  return {
+    $or: [
+      { deletedAt: null },
+      { 'replies.0': { $exists: true } }
+    ]
+  };
+};
+
+// Keep the like count in step with the likes array
+commentSchema.pre('save', function(next) {
+  this.likesCount = this.likes.length;
+  next();
+});
+
+// Nesting level of a comment, found by walking up its ancestors so
+// comments saved before depth was stored are measured correctly
+commentSchema.statics.getDepth = async function(comment) {
+  let depth = 0;
+  let parentId = comment.parentComment;
+
+  while (parentId) {
+    depth += 1;
+    const parent = await this.findById(parentId).select('parentComment').setOptions({ withDeleted: true });
+    parentId = parent ? parent.parentComment : null;
+  }
+
+  return depth;
+};
+
+// Record a moderation decision
+commentSchema.methods.setModeration = function(status, moderatorId, reason) {
+  this.moderationStatus = status;
+  this.isApproved = status === 'approved';
+  this.rejectionReason = status === 'rejected' ? (reason || null) : null;
+  this.moderatedBy = moderatorId || null;
+  this.moderatedAt = moderatorId ? new Date() : null;
+};
 
 module.exports = mongoose.model('Comment', commentSchema); 
\ No newline at end of file
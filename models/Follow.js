@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Something a user follows: another user, a category or a tag
+const FOLLOW_TARGETS = {
+  user: 'User',
+  category: 'Category',
+  tag: null
+};
+
+const followSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.keys(FOLLOW_TARGETS),
+    required: true
+  },
+  // Followed user or category
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetModel',
+    default: null
+  },
+  targetModel: {
+    type: String,
+    enum: ['User', 'Category', null],
+    default: null
+  },
+  // Followed tag name
+  tag: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+followSchema.index({ follower: 1, type: 1, target: 1, tag: 1 }, { unique: true });
+followSchema.index({ type: 1, target: 1, createdAt: -1 });
+
+// Build the identifying fields for a follow
+const followKey = (followerId, type, value) => ({
+  follower: followerId,
+  type,
+  target: type === 'tag' ? null : value,
+  tag: type === 'tag' ? value : null
+});
+
+// Follow something; returns true if this created a new follow
+followSchema.statics.follow = async function(followerId, type, value, { session = null } = {}) {
+  const key = followKey(followerId, type, value);
+  const result = await this.updateOne(
+    key,
+    { $setOnInsert: { targetModel: FOLLOW_TARGETS[type] } },
+    { upsert: true, session }
+  );
+  return result.upsertedCount > 0;
+};
+
+// Unfollow something; returns true if a follow was removed
+followSchema.statics.unfollow = async function(followerId, type, value) {
+  const result = await this.deleteOne(followKey(followerId, type, value));
+  return result.deletedCount > 0;
+};
+
+// Everything a user follows, grouped by type
+followSchema.statics.getFollowedSources = async function(followerId) {
+  const follows = await this.find({ follower: followerId }).lean();
+
+  return {
+    users: follows.filter(follow => follow.type === 'user').map(follow => follow.target),
+    categories: follows.filter(follow => follow.type === 'category').map(follow => follow.target),
+    tags: follows.filter(follow => follow.type === 'tag').map(follow => follow.tag)
+  };
+};
+
+module.exports = mongoose.model('Follow', followSchema);
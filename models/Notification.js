@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Events a user can be notified about, with a description for settings UIs
+const NOTIFICATION_TYPES = {
+  comment_reply: 'Someone replied to your comment',
+  post_comment: 'Someone commented on your post',
+  comment_moderated: 'A moderator approved or hid your comment',
+  post_moderated: 'A moderator removed or restored your post',
+  report_reviewed: 'A moderator reviewed something you reported'
+};
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // User whose action caused the notification
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  type: {
+    type: String,
+    enum: Object.keys(NOTIFICATION_TYPES),
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    default: null
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  message: {
+    type: String,
+    required: true,
+    maxlength: 300
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+
+notificationSchema.statics.TYPES = NOTIFICATION_TYPES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
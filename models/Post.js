@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { slugPlugin } = require('../utils/slug');
+const { softDeletePlugin } = require('../utils/softDelete');
+const Tag = require('./Tag');
+const PostReaction = require('./PostReaction');
 
 const postSchema = new mongoose.Schema({
   title: {
@@ -37,13 +41,60 @@ const postSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['draft', 'published', 'archived'],
-    default: 'published'
+    enum: ['draft', 'in_review', 'scheduled', 'published', 'archived'],
+    default: 'draft'
   },
+  // When a scheduled post should go live
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNotes: [{
+    reviewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    action: {
+      type: String,
+      enum: ['submitted', 'approved', 'rejected']
+    },
+    note: {
+      type: String,
+      maxlength: [1000, 'Review note cannot be more than 1000 characters']
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   viewCount: {
     type: Number,
     default: 0
   },
+  // Denormalized reaction and bookmark counts, kept in step by the toggle routes
+  reactionCounts: Object.keys(PostReaction.TYPES).reduce((counts, type) => {
+    counts[type] = { type: Number, default: 0 };
+    return counts;
+  }, {}),
+  bookmarksCount: {
+    type: Number,
+    default: 0
+  },
+  // Hold new comments for review: true/false, or null to defer to the
+  // category and then the COMMENT_PREMODERATION setting
+  premoderateComments: {
+    type: Boolean,
+    default: null
+  },
+  // Set while the post is hidden from readers pending review of reports
+  hiddenAt: {
+    type: Date,
+    default: null
+  },
   isFeatured: {
     type: Boolean,
     default: false
@@ -54,7 +105,88 @@ const postSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Index for better query performance
+postSchema.index({ status: 1, publishAt: 1 });
+
+// Text index for search, weighted title > excerpt > tags > content
+postSchema.index({
+  title: 'text',
+  excerpt: 'text',
+  tags: 'text',
+  content: 'text'
+}, {
+  name: 'post_text_search',
+  weights: {
+    title: 10,
+    excerpt: 5,
+    tags: 3,
+    content: 1
+  }
+});
+
+// Slug generated from the title, with history for redirects
+postSchema.plugin(slugPlugin, { sourceField: 'title' });
+
+// Deleted posts are kept until the purge job removes them
+postSchema.plugin(softDeletePlugin);
+
+// Normalize tags and fold synonyms into their canonical tag
+postSchema.pre('save', async function(next) {
+  try {
+    if (this.isModified('tags')) {
+      this.tags = await Tag.canonicalize(this.tags);
+      await Tag.register(this.tags);
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Remember the stored status so the hook below can tell what changed
+postSchema.post('init', function() {
+  this.$locals.savedStatus = this.status;
+});
+
+postSchema.post('save', function() {
+  this.$locals.savedStatus = this.status;
+});
+
+// Record when a post goes live. Scheduled posts carry their publish time
+// up front, so feeds sorted by publishedAt place them correctly as soon as
+// they are due, before the scheduler flips their status.
+postSchema.pre('save', function(next) {
+  const now = new Date();
+
+  if (this.status === 'scheduled') {
+    this.publishedAt = this.publishAt;
+  } else if (this.$locals.savedStatus === 'scheduled' && this.status !== 'published') {
+    // Unscheduled before going live
+    this.publishedAt = null;
+  } else if (this.status === 'published' && (!this.publishedAt || this.publishedAt > now)) {
+    this.publishedAt = this.publishAt && this.publishAt <= now ? this.publishAt : now;
+  }
+  next();
+});
+
+// Query conditions for posts readers are allowed to see. Scheduled posts
+// whose time has come count as published even before the scheduler runs;
+// posts hidden because of reports are left out.
+postSchema.statics.visibleFilter = function(now = new Date()) {
+  return {
+    $or: [
+      { status: 'published' },
+      { status: 'scheduled', publishAt: { $lte: now } }
+    ],
+    hiddenAt: null
+  };
+};
 
+// Check whether readers can see this post
+postSchema.methods.isVisible = function(now = new Date()) {
+  return !this.hiddenAt && !this.deletedAt && (this.status === 'published' ||
+    (this.status === 'scheduled' && this.publishAt && this.publishAt <= now));
+};
 
 // Virtual for comments count
 postSchema.virtual('commentsCount', {
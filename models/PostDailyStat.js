@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Per-post, per-day view counters
+const postDailyStatSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // UTC day, YYYY-MM-DD
+  day: {
+    type: String,
+    required: true
+  },
+  views: {
+    type: Number,
+    default: 0
+  },
+  uniqueVisitors: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+postDailyStatSchema.index({ post: 1, day: 1 }, { unique: true });
+
+module.exports = mongoose.model('PostDailyStat', postDailyStatSchema);
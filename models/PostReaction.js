@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Emoji-style reactions readers can leave on a post
+const REACTION_TYPES = {
+  like: '👍',
+  love: '❤️',
+  laugh: '😂',
+  wow: '😮',
+  sad: '😢',
+  clap: '👏'
+};
+
+const postReactionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.keys(REACTION_TYPES),
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// A user can leave each reaction type once per post
+postReactionSchema.index({ post: 1, user: 1, type: 1 }, { unique: true });
+postReactionSchema.index({ post: 1, createdAt: -1 });
+
+postReactionSchema.statics.TYPES = REACTION_TYPES;
+
+module.exports = mongoose.model('PostReaction', postReactionSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// Fields captured in every revision snapshot
+const TRACKED_FIELDS = ['title', 'content', 'excerpt', 'tags', 'category'];
+
+const postRevisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  // User who made the change
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: String,
+  content: String,
+  excerpt: String,
+  tags: [String],
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  changedFields: [{
+    type: String,
+    enum: TRACKED_FIELDS
+  }],
+  // Revision number this one was restored from, if any
+  restoredFrom: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+postRevisionSchema.index({ post: 1, revision: -1 }, { unique: true });
+
+// Attempts at claiming the next revision number before giving up
+const MAX_RECORD_ATTEMPTS = 5;
+
+// Snapshot the current state of a post as its next revision. Concurrent
+// edits can race for the same number; the unique index rejects the loser,
+// which retries with the next one.
+postRevisionSchema.statics.record = async function(post, userId, changedFields, restoredFrom = null) {
+  for (let attempt = 1; ; attempt++) {
+    const latest = await this.findOne({ post: post._id }).sort({ revision: -1 }).select('revision');
+
+    try {
+      return await this.create({
+        post: post._id,
+        revision: latest ? latest.revision + 1 : 1,
+        author: userId,
+        title: post.title,
+        content: post.content,
+        excerpt: post.excerpt,
+        tags: post.tags,
+        category: post.category._id || post.category,
+        changedFields,
+        restoredFrom
+      });
+    } catch (err) {
+      if (err.code !== 11000 || attempt >= MAX_RECORD_ATTEMPTS) {
+        throw err;
+      }
+    }
+  }
+};
+
+postRevisionSchema.statics.TRACKED_FIELDS = TRACKED_FIELDS;
+
+module.exports = mongoose.model('PostRevision', postRevisionSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// A counted view of a post. Repeat views by the same visitor within the
+// dedupe window share a bucket and are not counted again.
+const postViewSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // User id for logged in readers, otherwise a salted hash of IP and user agent
+  visitor: {
+    type: String,
+    required: true
+  },
+  bucket: {
+    type: Number,
+    required: true
+  },
+  // UTC day of the view, YYYY-MM-DD
+  day: {
+    type: String,
+    required: true
+  },
+  referrer: {
+    type: String,
+    default: 'direct'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// One counted view per visitor per dedupe window
+postViewSchema.index({ post: 1, visitor: 1, bucket: 1 }, { unique: true });
+postViewSchema.index({ post: 1, day: 1, visitor: 1 });
+postViewSchema.index({ post: 1, createdAt: -1 });
+
+// Raw events are only kept for a while; daily counters keep the totals
+postViewSchema.index({ createdAt: 1 }, {
+  expireAfterSeconds: (parseInt(process.env.VIEW_EVENT_RETENTION_DAYS, 10) || 90) * 24 * 60 * 60
+});
+
+module.exports = mongoose.model('PostView', postViewSchema);
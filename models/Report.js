@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// Reason codes readers can pick when reporting content
+const REPORT_REASONS = {
+  spam: 'Spam or advertising',
+  harassment: 'Harassment or bullying',
+  hate_speech: 'Hate speech',
+  violence: 'Violence or threats',
+  sexual_content: 'Sexual content',
+  misinformation: 'False or misleading information',
+  copyright: 'Copyright infringement',
+  other: 'Something else'
+};
+
+// Content types that can be reported, with the model each refers to
+const REPORT_TARGETS = {
+  post: 'Post',
+  comment: 'Comment'
+};
+
+const reportSchema = new mongoose.Schema({
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: Object.keys(REPORT_TARGETS),
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetModel',
+    required: true
+  },
+  targetModel: {
+    type: String,
+    enum: Object.values(REPORT_TARGETS),
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: Object.keys(REPORT_REASONS),
+    required: true
+  },
+  details: {
+    type: String,
+    maxlength: [1000, 'Details cannot be more than 1000 characters']
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved', 'dismissed'],
+    default: 'open'
+  },
+  // Whether this report pushed the content over the hiding threshold
+  triggeredHide: {
+    type: Boolean,
+    default: false
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    maxlength: [1000, 'Review note cannot be more than 1000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// A user can have one open report per piece of content, and can report
+// it again once a moderator has closed that one
+reportSchema.index({ reporter: 1, targetType: 1, target: 1 }, {
+  name: 'open_report_per_reporter',
+  unique: true,
+  partialFilterExpression: { status: 'open' }
+});
+reportSchema.index({ targetType: 1, target: 1, status: 1 });
+reportSchema.index({ status: 1, createdAt: 1 });
+
+reportSchema.statics.REASONS = REPORT_REASONS;
+reportSchema.statics.TARGETS = REPORT_TARGETS;
+
+module.exports = mongoose.model('Report', reportSchema);
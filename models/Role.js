@@ -1,23 +1,36 @@
 const mongoose = require('mongoose');
+const {
+  PERMISSIONS,
+  SUPERUSER_PERMISSION,
+  LEGACY_PERMISSIONS
+} = require('../utils/permissions');
 
 const roleSchema = new mongoose.Schema({
   name: {
     type: String,
-    required: true,
+    required: [true, 'Please provide a role name'],
     unique: true,
-    enum: ['user', 'admin'],
-    default: 'user'
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_-]*$/, 'Role name may only contain letters, numbers, dashes and underscores'],
+    maxlength: [30, 'Role name cannot be more than 30 characters']
   },
   description: {
     type: String,
-    required: true
+    required: [true, 'Please provide a role description'],
+    maxlength: [200, 'Description cannot be more than 200 characters']
   },
   permissions: [{
     type: String,
-    enum: ['read', 'write', 'delete', 'admin']
-  }]
+    enum: [...PERMISSIONS, SUPERUSER_PERMISSION, ...Object.keys(LEGACY_PERMISSIONS)]
+  }],
+  // Built-in roles cannot be deleted or renamed
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
 }, {
   timestamps: true
 });
 
-module.exports = mongoose.model('Role', roleSchema); 
\ No newline at end of file
+module.exports = mongoose.model('Role', roleSchema);
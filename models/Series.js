@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { slugPlugin } = require('../utils/slug');
+
+// An ordered set of posts, e.g. a tutorial split into parts. A post can
+// belong to at most one series.
+const seriesSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Please provide a series title'],
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Posts in reading order
+  posts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  }]
+}, {
+  timestamps: true
+});
+
+// A post can only be in one series. Series without posts are left out of
+// the index, since their empty arrays would otherwise collide.
+seriesSchema.index({ posts: 1 }, {
+  unique: true,
+  partialFilterExpression: { posts: { $type: 'objectId' } }
+});
+
+// Index for better query performance
+seriesSchema.index({ author: 1, createdAt: -1 });
+
+// Slug generated from the title, with history for redirects
+seriesSchema.plugin(slugPlugin, { sourceField: 'title' });
+
+module.exports = mongoose.model('Series', seriesSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const { sessionChannel, publish } = require('../utils/events');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash of the refresh token this one replaced, used to detect reuse
+  previousTokenHash: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousTokenHash: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Let MongoDB drop sessions once they have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check whether the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Tell live streams opened with these sessions that they have ended
+sessionSchema.statics.announceRevoked = function(sessionIds) {
+  sessionIds.forEach(id => publish(sessionChannel(id), 'revoked', { session: id }));
+};
+
+// Revoke this session
+sessionSchema.methods.revoke = async function() {
+  this.revokedAt = new Date();
+  await this.save();
+  this.constructor.announceRevoked([this._id]);
+  return this;
+};
+
+// Revoke every outstanding session for a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = async function(userId, exceptSessionId) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const sessionIds = await this.distinct('_id', query);
+  const result = await this.updateMany(query, { revokedAt: new Date() });
+  this.announceRevoked(sessionIds);
+  return result;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const { normalizeTags } = require('../utils/tags');
+
+// Canonical tags and their synonyms. Posts store plain tag strings and
+// every tag in use has a Tag document; curated tags are the ones an admin
+// has given a description or synonyms.
+const tagSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a tag name'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [30, 'Tag cannot be more than 30 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  // Alternative spellings that are rewritten to this tag
+  synonyms: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }]
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+tagSchema.index({ synonyms: 1 });
+
+// Normalize tags and replace synonyms with their canonical tag
+tagSchema.statics.canonicalize = async function(tags) {
+  const normalized = normalizeTags(tags);
+  if (normalized.length === 0) {
+    return [];
+  }
+
+  const curated = await this.find({ synonyms: { $in: normalized } }).select('name synonyms').lean();
+
+  const canonical = {};
+  curated.forEach(tag => {
+    tag.synonyms.forEach(synonym => {
+      canonical[synonym] = tag.name;
+    });
+  });
+
+  return [...new Set(normalized.map(tag => canonical[tag] || tag))];
+};
+
+// Query conditions for tags an admin has curated
+tagSchema.statics.curatedFilter = function() {
+  return {
+    $or: [
+      { 'synonyms.0': { $exists: true } },
+      { description: { $nin: [null, ''] } }
+    ]
+  };
+};
+
+// Make sure each of the (canonical) tags has a document
+tagSchema.statics.register = async function(names, { session = null } = {}) {
+  if (names.length === 0) {
+    return;
+  }
+
+  try {
+    await this.bulkWrite(names.map(name => ({
+      updateOne: {
+        filter: { name },
+        update: { $setOnInsert: { name } },
+        upsert: true
+      }
+    })), { ordered: false, session });
+  } catch (err) {
+    // Another request registered the same tag at the same time
+    if (err.code !== 11000) {
+      throw err;
+    }
+  }
+};
+
+module.exports = mongoose.model('Tag', tagSchema);
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { hashToken, generateToken } = require('../utils/tokens');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -41,6 +42,25 @@ const userSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Notification types the user has switched off are stored as false;
+  // anything missing is on
+  notificationPreferences: {
+    type: Map,
+    of: Boolean,
+    default: {}
+  },
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpire: {
+    type: Date,
+    select: false
   }
 }, {
   timestamps: true
@@ -49,22 +69,42 @@ const userSchema = new mongoose.Schema({
 // Encrypt password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
 });
 
-// Sign JWT and return
-userSchema.methods.getSignedJwtToken = function() {
-  return jwt.sign({ id: this._id }, process.env.JWT_SECRET, {
+// Sign JWT bound to a session and return
+userSchema.methods.getSignedJwtToken = function(sessionId) {
+  return jwt.sign({ id: this._id, sid: sessionId }, process.env.JWT_SECRET, {
     expiresIn: process.env.JWT_EXPIRE
   });
 };
 
+// Sign an email verification token tied to the current email address
+userSchema.methods.getEmailVerificationToken = function() {
+  return jwt.sign(
+    { id: this._id, email: this.email, purpose: 'verify-email' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.EMAIL_VERIFY_EXPIRE || '24h' }
+  );
+};
+
 // Match user entered password to hashed password in database
 userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Generate a password reset token, storing only its hash
+userSchema.methods.getResetPasswordToken = function() {
+  const resetToken = generateToken();
+  const minutes = parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES, 10) || 10;
+
+  this.resetPasswordToken = hashToken(resetToken);
+  this.resetPasswordExpire = new Date(Date.now() + minutes * 60 * 1000);
+
+  return resetToken;
+};
+
 module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
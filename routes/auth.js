@@ -1,11 +1,27 @@
 const express = require('express');
+const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Role = require('../models/Role');
+const Session = require('../models/Session');
 const { protect } = require('../middleware/auth');
+const { hashToken, createSession, rotateSession } = require('../utils/tokens');
+const { buildAppUrl, sendEmail } = require('../utils/mailer');
+const { expandPermissions } = require('../utils/permissions');
 
 const router = express.Router();
 
+// Email a verification link to the user
+const sendVerificationEmail = (user) => {
+  const verifyUrl = buildAppUrl(`/api/auth/verify-email/${user.getEmailVerificationToken()}`);
+
+  return sendEmail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Welcome, ${user.name}! Please confirm your email address by visiting:\n\n${verifyUrl}`
+  });
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -60,8 +76,15 @@ router.post('/register', [
       role: userRole._id
     });
 
-    // Create token
-    const token = user.getSignedJwtToken();
+    // Send verification email; the account is usable even if this fails
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Create session tokens
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       success: true,
@@ -71,9 +94,11 @@ router.post('/register', [
           id: user._id,
           name: user.name,
           email: user.email,
-          role: userRole.name
+          role: userRole.name,
+          isEmailVerified: user.isEmailVerified
         },
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -135,8 +160,8 @@ router.post('/login', [
       });
     }
 
-    // Create token
-    const token = user.getSignedJwtToken();
+    // Create session tokens
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
       success: true,
@@ -148,7 +173,8 @@ router.post('/login', [
           email: user.email,
           role: user.role.name
         },
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -160,6 +186,376 @@ router.post('/login', [
   }
 });
 
+// @desc    Refresh access token
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .withMessage('Refresh token must be a string')
+    .bail()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const tokenHash = hashToken(req.body.refreshToken);
+
+    const session = await Session.findOne({ refreshTokenHash: tokenHash });
+    if (!session) {
+      // A rotated-out token being replayed means it has leaked, so kill the session
+      const reusedSession = await Session.findOne({ previousTokenHash: tokenHash });
+      if (reusedSession && !reusedSession.revokedAt) {
+        await reusedSession.revoke();
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    if (!session.isActive()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked'
+      });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive) {
+      await session.revoke();
+
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated'
+      });
+    }
+
+    const rotated = await rotateSession(session, user);
+    if (!rotated) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    const { token, refreshToken } = rotated;
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Log out of the current session
+// @route   POST /api/auth/logout
+// @access  Private
+router.post('/logout', protect, async (req, res) => {
+  try {
+    await req.authSession.revoke();
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Log out of all sessions
+// @route   POST /api/auth/logout-all
+// @access  Private
+router.post('/logout-all', protect, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all sessions successfully',
+      data: {
+        revokedSessions: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Change password
+// @route   PUT /api/auth/password
+// @access  Private
+router.put('/password', protect, [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    // Check if current password matches
+    const isMatch = await user.matchPassword(currentPassword);
+    if (!isMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Sign out everywhere except the session making the change
+    await Session.revokeAllForUser(user._id, req.authSession._id);
+
+    res.json({
+      success: true,
+      message: 'Password updated successfully'
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Request a password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post('/forgot-password', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    // Respond the same way whether or not the account exists
+    if (user && user.isActive) {
+      const resetToken = user.getResetPasswordToken();
+      await user.save();
+
+      const resetUrl = buildAppUrl(`/api/auth/reset-password/${resetToken}`);
+
+      try {
+        await sendEmail({
+          to: user.email,
+          subject: 'Password reset',
+          text: `You requested a password reset. Send a POST request with your new password to:\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`
+        });
+      } catch (mailError) {
+        // Failing loudly here would reveal that the account exists, so
+        // log it and answer like any other request
+        console.error('Password reset email error:', mailError);
+        user.resetPasswordToken = undefined;
+        user.resetPasswordExpire = undefined;
+        await user.save();
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Reset password with a reset token
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+router.post('/reset-password/:token', [
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({
+      resetPasswordToken: hashToken(req.params.token),
+      resetPasswordExpire: { $gt: Date.now() }
+    }).populate('role');
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    user.password = req.body.password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save();
+
+    // Existing sessions may belong to whoever knew the old password
+    await Session.revokeAllForUser(user._id);
+
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully',
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role.name
+        },
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Verify email address
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    let decoded;
+    try {
+      decoded = jwt.verify(req.params.token, process.env.JWT_SECRET);
+    } catch (err) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== 'verify-email') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    // The token only counts for the address it was issued to
+    const user = await User.findOne({ _id: decoded.id, email: decoded.email });
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Resend verification email
+// @route   POST /api/auth/resend-verification
+// @access  Private
+router.post('/resend-verification', protect, async (req, res) => {
+  try {
+    if (req.user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Get current logged in user
 // @route   GET /api/auth/me
 // @access  Private
@@ -175,8 +571,10 @@ router.get('/me', protect, async (req, res) => {
           name: user.name,
           email: user.email,
           role: user.role.name,
+          permissions: expandPermissions(user.role.permissions),
           bio: user.bio,
           avatar: user.avatar,
+          isEmailVerified: user.isEmailVerified,
           createdAt: user.createdAt
         }
       }
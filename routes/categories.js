@@ -1,16 +1,65 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Category = require('../models/Category');
-const { protect, authorize } = require('../middleware/auth');
+const Follow = require('../models/Follow');
+const Post = require('../models/Post');
+const { protect, requirePermission } = require('../middleware/auth');
+const escapeRegex = require('../utils/escapeRegex');
+const { withTransaction } = require('../utils/transaction');
 
 const router = express.Router();
 
+// Published, visible post counts keyed by category id
+const getPostCounts = async () => {
+  const counts = await Post.aggregate([
+    { $match: Post.visibleFilter() },
+    { $group: { _id: '$category', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(entry => [String(entry._id), entry.count]));
+};
+
+// Resolve a requested parent (id, slug or null for top level). When moving
+// an existing category, its own subtree is not a valid parent.
+const resolveParent = async (value, category) => {
+  if (value === null || value === '') {
+    return { parent: null };
+  }
+
+  const resolved = await Category.resolveSlugOrId(String(value));
+  const parent = resolved && await Category.findOne({ _id: resolved._id, isActive: true });
+  if (!parent) {
+    return { error: 'Parent category not found' };
+  }
+
+  if (category) {
+    const descendantIds = await Category.getDescendantIds(category._id);
+    if (parent._id.equals(category._id) || descendantIds.some(id => id.equals(parent._id))) {
+      return { error: 'A category cannot be moved under itself or one of its subcategories' };
+    }
+  }
+
+  return { parent };
+};
+
+const parentValidator = body('parent')
+  .optional({ nullable: true })
+  .isString()
+  .withMessage('Parent must be a category id, slug or null');
+
+const orderValidator = body('order')
+  .optional()
+  .isInt()
+  .withMessage('Order must be an integer')
+  .toInt();
+
 // @desc    Get all categories
 // @route   GET /api/categories
 // @access  Public
 router.get('/', async (req, res) => {
   try {
     const categories = await Category.find({ isActive: true }).sort({ name: 1 });
+    const postCounts = await getPostCounts();
 
     res.json({
       success: true,
@@ -19,7 +68,12 @@ router.get('/', async (req, res) => {
         categories: categories.map(category => ({
           id: category._id,
           name: category.name,
+          slug: category.slug,
           description: category.description,
+          parent: category.parent,
+          order: category.order,
+          postCount: postCounts.get(String(category._id)) || 0,
+          premoderateComments: category.premoderateComments,
           createdAt: category.createdAt
         }))
       }
@@ -33,12 +87,69 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @desc    Get active categories as a nested tree
+// @route   GET /api/categories/tree
+// @access  Public
+router.get('/tree', async (req, res) => {
+  try {
+    const categories = await Category.find({ isActive: true }).sort({ order: 1, name: 1 });
+    const postCounts = await getPostCounts();
+
+    const nodes = new Map(categories.map(category => [String(category._id), {
+      id: category._id,
+      name: category.name,
+      slug: category.slug,
+      description: category.description,
+      order: category.order,
+      postCount: postCounts.get(String(category._id)) || 0,
+      totalPostCount: 0,
+      children: []
+    }]));
+
+    // Categories whose parent is missing or inactive show up at the top level
+    const roots = [];
+    categories.forEach(category => {
+      const node = nodes.get(String(category._id));
+      const parent = category.parent && nodes.get(String(category.parent));
+      (parent ? parent.children : roots).push(node);
+    });
+
+    // Totals include every subcategory below a node
+    const addTotals = (node) => {
+      node.totalPostCount = node.children.reduce((sum, child) => sum + addTotals(child), node.postCount);
+      return node.totalPostCount;
+    };
+    roots.forEach(addTotals);
+
+    res.json({
+      success: true,
+      count: categories.length,
+      data: {
+        categories: roots
+      }
+    });
+  } catch (error) {
+    console.error('Get category tree error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Get single category
 // @route   GET /api/categories/:id
 // @access  Public
 router.get('/:id', async (req, res) => {
   try {
-    const category = await Category.findById(req.params.id);
+    const resolved = await Category.resolveSlugOrId(req.params.id);
+
+    // Old slugs redirect to the category's current URL
+    if (resolved && resolved.redirected) {
+      return res.redirect(301, `${req.baseUrl}/${resolved.slug}`);
+    }
+
+    const category = resolved && await Category.findById(resolved._id);
 
     if (!category) {
       return res.status(404).json({
@@ -47,14 +158,30 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    const children = await Category.find({ parent: category._id, isActive: true })
+      .select('name slug order')
+      .sort({ order: 1, name: 1 });
+    const postCount = await Post.countDocuments({ ...Post.visibleFilter(), category: category._id });
+
     res.json({
       success: true,
       data: {
         category: {
           id: category._id,
           name: category.name,
+          slug: category.slug,
           description: category.description,
+          parent: category.parent,
+          order: category.order,
+          children: children.map(child => ({
+            id: child._id,
+            name: child.name,
+            slug: child.slug,
+            order: child.order
+          })),
+          postCount,
           isActive: category.isActive,
+          premoderateComments: category.premoderateComments,
           createdAt: category.createdAt,
           updatedAt: category.updatedAt
         }
@@ -71,8 +198,8 @@ router.get('/:id', async (req, res) => {
 
 // @desc    Create new category
 // @route   POST /api/categories
-// @access  Admin
-router.post('/', protect, authorize('admin'), [
+// @access  Private (categories:manage)
+router.post('/', protect, requirePermission('categories:manage'), [
   body('name')
     .trim()
     .isLength({ min: 2, max: 50 })
@@ -80,7 +207,13 @@ router.post('/', protect, authorize('admin'), [
   body('description')
     .optional()
     .isLength({ max: 200 })
-    .withMessage('Description cannot be more than 200 characters')
+    .withMessage('Description cannot be more than 200 characters'),
+  body('premoderateComments')
+    .optional({ nullable: true })
+    .isBoolean({ strict: true })
+    .withMessage('premoderateComments must be true, false or null'),
+  parentValidator,
+  orderValidator
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -92,10 +225,10 @@ router.post('/', protect, authorize('admin'), [
       });
     }
 
-    const { name, description } = req.body;
+    const { name, description, premoderateComments, order } = req.body;
 
     // Check if category already exists
-    const existingCategory = await Category.findOne({ name: { $regex: new RegExp(`^${name}$`, 'i') } });
+    const existingCategory = await Category.findOne({ name: { $regex: new RegExp(`^${escapeRegex(name)}$`, 'i') } });
     if (existingCategory) {
       return res.status(400).json({
         success: false,
@@ -103,10 +236,26 @@ router.post('/', protect, authorize('admin'), [
       });
     }
 
-    const category = await Category.create({
+    let parent = null;
+    if (req.body.parent !== undefined) {
+      const result = await resolveParent(req.body.parent);
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error
+        });
+      }
+      parent = result.parent;
+    }
+
+    const category = new Category({
       name,
-      description
+      description,
+      parent: parent ? parent._id : null,
+      order,
+      premoderateComments
     });
+    await category.saveWithUniqueSlug();
 
     res.status(201).json({
       success: true,
@@ -115,7 +264,11 @@ router.post('/', protect, authorize('admin'), [
         category: {
           id: category._id,
           name: category.name,
+          slug: category.slug,
           description: category.description,
+          parent: category.parent,
+          order: category.order,
+          premoderateComments: category.premoderateComments,
           createdAt: category.createdAt
         }
       }
@@ -131,8 +284,8 @@ router.post('/', protect, authorize('admin'), [
 
 // @desc    Update category
 // @route   PUT /api/categories/:id
-// @access  Admin
-router.put('/:id', protect, authorize('admin'), [
+// @access  Private (categories:manage)
+router.put('/:id', protect, requirePermission('categories:manage'), [
   body('name')
     .optional()
     .trim()
@@ -141,7 +294,17 @@ router.put('/:id', protect, authorize('admin'), [
   body('description')
     .optional()
     .isLength({ max: 200 })
-    .withMessage('Description cannot be more than 200 characters')
+    .withMessage('Description cannot be more than 200 characters'),
+  body('premoderateComments')
+    .optional({ nullable: true })
+    .isBoolean({ strict: true })
+    .withMessage('premoderateComments must be true, false or null'),
+  body('regenerateSlug')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('regenerateSlug must be true or false'),
+  parentValidator,
+  orderValidator
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -153,7 +316,7 @@ router.put('/:id', protect, authorize('admin'), [
       });
     }
 
-    const { name, description } = req.body;
+    const { name, description, premoderateComments, order } = req.body;
 
     const category = await Category.findById(req.params.id);
     if (!category) {
@@ -166,7 +329,7 @@ router.put('/:id', protect, authorize('admin'), [
     // Check if new name conflicts with existing category
     if (name && name.toLowerCase() !== category.name.toLowerCase()) {
       const existingCategory = await Category.findOne({ 
-        name: { $regex: new RegExp(`^${name}$`, 'i') },
+        name: { $regex: new RegExp(`^${escapeRegex(name)}$`, 'i') },
         _id: { $ne: req.params.id }
       });
       if (existingCategory) {
@@ -177,11 +340,27 @@ router.put('/:id', protect, authorize('admin'), [
       }
     }
 
+    if (req.body.parent !== undefined) {
+      const result = await resolveParent(req.body.parent, category);
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error
+        });
+      }
+      category.parent = result.parent ? result.parent._id : null;
+    }
+
     // Update fields
     if (name) category.name = name;
     if (description !== undefined) category.description = description;
+    if (order !== undefined) category.order = order;
+    if (premoderateComments !== undefined) category.premoderateComments = premoderateComments;
 
-    await category.save();
+    // The slug stays put on renames unless a new one is asked for
+    if (req.body.regenerateSlug) category.regenerateSlug();
+
+    await category.saveWithUniqueSlug();
 
     res.json({
       success: true,
@@ -190,7 +369,11 @@ router.put('/:id', protect, authorize('admin'), [
         category: {
           id: category._id,
           name: category.name,
+          slug: category.slug,
           description: category.description,
+          parent: category.parent,
+          order: category.order,
+          premoderateComments: category.premoderateComments,
           updatedAt: category.updatedAt
         }
       }
@@ -205,26 +388,76 @@ router.put('/:id', protect, authorize('admin'), [
 });
 
 // @desc    Delete category
-// @route   DELETE /api/categories/:id
-// @access  Admin
-router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+// @route   DELETE /api/categories/:id?reassignTo=<category>
+// @access  Private (categories:manage)
+router.delete('/:id', protect, requirePermission('categories:manage'), async (req, res) => {
   try {
     const category = await Category.findById(req.params.id);
-    if (!category) {
+    if (!category || !category.isActive) {
       return res.status(404).json({
         success: false,
         message: 'Category not found'
       });
     }
 
-    // Check if category has posts (you might want to implement this check)
-    // For now, we'll just deactivate the category
-    category.isActive = false;
-    await category.save();
+    // Deleted posts count too, since they can still be restored
+    const postCount = await Post.countDocuments({ category: category._id }).setOptions({ withDeleted: true });
+
+    let target = null;
+    if (req.query.reassignTo) {
+      const resolved = await Category.resolveSlugOrId(req.query.reassignTo);
+      target = resolved && await Category.findOne({ _id: resolved._id, isActive: true });
+      if (!target || target._id.equals(category._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'reassignTo must be a different, active category'
+        });
+      }
+    } else if (postCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Category has ${postCount} post${postCount === 1 ? '' : 's'}; pass ?reassignTo=<category> to move them before deleting it`,
+        data: {
+          postCount
+        }
+      });
+    }
+
+    // Categories are deactivated rather than removed so old links and
+    // revisions still resolve; their posts and followers move over first
+    await withTransaction(async (session) => {
+      if (target) {
+        await Post.updateMany({ category: category._id }, { category: target._id }, { session });
+
+        const followerIds = await Follow.distinct('follower', { type: 'category', target: category._id })
+          .session(session);
+        for (const followerId of followerIds) {
+          await Follow.updateOne(
+            { follower: followerId, type: 'category', target: target._id, tag: null },
+            { $setOnInsert: { targetModel: 'Category' } },
+            { upsert: true, session }
+          );
+        }
+      }
+
+      await Follow.deleteMany({ type: 'category', target: category._id }, { session });
+
+      // Subcategories move up a level instead of being orphaned
+      await Category.updateMany({ parent: category._id }, { parent: category.parent }, { session });
+
+      category.isActive = false;
+      await category.save({ session });
+    });
 
     res.json({
       success: true,
-      message: 'Category deactivated successfully'
+      message: target
+        ? `Category deactivated and ${postCount} post${postCount === 1 ? '' : 's'} moved to ${target.name}`
+        : 'Category deactivated successfully',
+      data: {
+        postsReassigned: target ? postCount : 0,
+        reassignedTo: target ? { id: target._id, name: target.name, slug: target.slug } : null
+      }
     });
   } catch (error) {
     console.error('Delete category error:', error);
@@ -235,4 +468,60 @@ router.delete('/:id', protect, authorize('admin'), async (req, res) => {
   }
 });
 
+// @desc    Follow a category
+// @route   POST /api/categories/:id/follow
+// @access  Private
+router.post('/:id/follow', protect, async (req, res) => {
+  try {
+    const resolved = await Category.resolveSlugOrId(req.params.id);
+    const category = resolved && await Category.findById(resolved._id);
+    if (!category || !category.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const created = await Follow.follow(req.user._id, 'category', category._id);
+
+    res.json({
+      success: true,
+      message: created ? `You are now following ${category.name}` : `You already follow ${category.name}`,
+      data: {
+        isFollowing: true
+      }
+    });
+  } catch (error) {
+    console.error('Follow category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Unfollow a category
+// @route   DELETE /api/categories/:id/follow
+// @access  Private
+router.delete('/:id/follow', protect, async (req, res) => {
+  try {
+    const resolved = await Category.resolveSlugOrId(req.params.id);
+    const removed = resolved ? await Follow.unfollow(req.user._id, 'category', resolved._id) : false;
+
+    res.json({
+      success: true,
+      message: removed ? 'Category unfollowed successfully' : 'You were not following this category',
+      data: {
+        isFollowing: false
+      }
+    });
+  } catch (error) {
+    console.error('Unfollow category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
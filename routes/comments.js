@@ -1,11 +1,59 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
 const Comment = require('../models/Comment');
 const Post = require('../models/Post');
-const { protect, authorize, isAuthor } = require('../middleware/auth');
+const Category = require('../models/Category');
+const Report = require('../models/Report');
+const User = require('../models/User');
+const { protect, requirePermission, isAuthor, requireVerifiedEmail } = require('../middleware/auth');
+const { parsePagination, paginate } = require('../utils/pagination');
+const escapeRegex = require('../utils/escapeRegex');
+const { fileReport } = require('../utils/reports');
+const { DELETED_TEXT, getMaxDepth } = require('../utils/commentTree');
+const { getRetentionDays } = require('../utils/purge');
+const { postChannel, publish } = require('../utils/events');
+const { withTransaction } = require('../utils/transaction');
+const {
+  requiresPreModeration,
+  screenComment,
+  toCommentEvent,
+  announceComment,
+  withdrawComment,
+  announceModeration,
+  moderateComment
+} = require('../utils/moderation');
 
 const router = express.Router();
 
+const MODERATION_STATUSES = ['pending', 'approved', 'rejected'];
+const BULK_ACTIONS = ['approve', 'reject', 'delete'];
+const BULK_LIMIT = 100;
+
+// Fields shown to readers; deleted comments keep their place in the
+// thread but lose their text and author
+const readerFields = (comment) => (comment.deletedAt
+  ? {
+    id: comment._id,
+    text: DELETED_TEXT,
+    author: null,
+    likes: 0,
+    isEdited: false,
+    isDeleted: true
+  }
+  : {
+    id: comment._id,
+    text: comment.text,
+    author: {
+      id: comment.author._id,
+      name: comment.author.name,
+      avatar: comment.author.avatar
+    },
+    likes: comment.likes.length,
+    isEdited: comment.isEdited,
+    isDeleted: false
+  });
+
 // @desc    Get comments for a post
 // @route   GET /api/comments/post/:postId
 // @access  Public
@@ -19,54 +67,44 @@ router.get('/post/:postId', async (req, res) => {
       });
     }
 
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 10;
-    const startIndex = (page - 1) * limit;
+    const pagination = parsePagination(req);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
 
-    const comments = await Comment.find({
-      post: req.params.postId,
-      parentComment: null, // Only top-level comments
-      isApproved: true
-    })
-      .populate('author', 'name avatar')
-      .populate({
-        path: 'replies',
-        match: { isApproved: true },
-        populate: {
-          path: 'author',
-          select: 'name avatar'
-        }
-      })
-      .skip(startIndex)
-      .limit(limit)
-      .sort({ createdAt: -1 });
-
-    const total = await Comment.countDocuments({
-      post: req.params.postId,
-      parentComment: null,
-      isApproved: true
+    const { items: comments, pagination: paginationResult } = await paginate(req, res, pagination, {
+      model: Comment,
+      filter: {
+        post: post._id,
+        parentComment: null, // Only top-level comments
+        isApproved: true,
+        ...Comment.threadFilter()
+      },
+      sort: { field: 'createdAt', direction: -1 },
+      build: query => query
+        .populate('author', 'name avatar')
+        .populate({
+          path: 'replies',
+          match: { isApproved: true },
+          populate: {
+            path: 'author',
+            select: 'name avatar'
+          }
+        }),
+      options: { withDeleted: true }
     });
 
     res.json({
       success: true,
       count: comments.length,
-      pagination: {
-        current: page,
-        pages: Math.ceil(total / limit),
-        total
-      },
+      pagination: paginationResult,
       data: {
         comments: comments.map(comment => ({
-          id: comment._id,
-          text: comment.text,
-          author: {
-            id: comment.author._id,
-            name: comment.author.name,
-            avatar: comment.author.avatar
-          },
-          likes: comment.likes.length,
+          ...readerFields(comment),
           replies: comment.replies ? comment.replies.length : 0,
-          isEdited: comment.isEdited,
           createdAt: comment.createdAt,
           updatedAt: comment.updatedAt
         }))
@@ -84,7 +122,7 @@ router.get('/post/:postId', async (req, res) => {
 // @desc    Add comment to a post
 // @route   POST /api/comments
 // @access  Private
-router.post('/', protect, [
+router.post('/', protect, requireVerifiedEmail, requirePermission('comments:create'), [
   body('text')
     .trim()
     .isLength({ min: 1, max: 1000 })
@@ -105,31 +143,50 @@ router.post('/', protect, [
 
     const { text, post: postId, parentComment } = req.body;
 
-    // Check if post exists
+    // Check if post exists and is open to readers
     const post = await Post.findById(postId);
-    if (!post) {
+    if (!post || !post.isVisible()) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
       });
     }
 
-    // Check if parent comment exists (for replies)
+    // Check if parent comment exists on the same post (for replies)
+    let parentCommentDoc = null;
+    let depth = 0;
     if (parentComment) {
-      const parentCommentDoc = await Comment.findById(parentComment);
-      if (!parentCommentDoc) {
+      parentCommentDoc = await Comment.findById(parentComment);
+      if (!parentCommentDoc || !parentCommentDoc.post.equals(post._id) || !parentCommentDoc.isApproved) {
         return res.status(404).json({
           success: false,
           message: 'Parent comment not found'
         });
       }
+
+      depth = await Comment.getDepth(parentCommentDoc) + 1;
+      if (depth > getMaxDepth()) {
+        return res.status(400).json({
+          success: false,
+          message: `Replies cannot be nested more than ${getMaxDepth()} levels deep`
+        });
+      }
     }
 
+    // Suspicious comments wait for a moderator rather than being refused
+    const screening = await screenComment({ text, user: req.user, post });
+    const held = screening.hold || await requiresPreModeration(post, req.user);
+
     const comment = await Comment.create({
       text,
       post: postId,
       author: req.user.id,
-      parentComment: parentComment || null
+      parentComment: parentComment || null,
+      depth,
+      isApproved: !held,
+      moderationStatus: held ? 'pending' : 'approved',
+      spamScore: screening.score,
+      filterFlags: screening.flags.map(flag => flag.reason)
     });
 
     // If this is a reply, add it to parent comment's replies array
@@ -139,11 +196,15 @@ router.post('/', protect, [
       });
     }
 
-    await comment.populate('author', 'name avatar');
+    if (held) {
+      await comment.populate('author', 'name avatar');
+    } else {
+      await announceComment(comment, post, parentCommentDoc);
+    }
 
     res.status(201).json({
       success: true,
-      message: 'Comment added successfully',
+      message: held ? 'Comment submitted for review' : 'Comment added successfully',
       data: {
         comment: {
           id: comment._id,
@@ -157,6 +218,7 @@ router.post('/', protect, [
           parentComment: comment.parentComment,
           likes: comment.likes.length,
           isApproved: comment.isApproved,
+          moderationStatus: comment.moderationStatus,
           createdAt: comment.createdAt
         }
       }
@@ -170,10 +232,218 @@ router.post('/', protect, [
   }
 });
 
+// @desc    Get comments for moderation, oldest pending first by default
+// @route   GET /api/comments/moderation
+// @access  Private (comments:moderate)
+router.get('/moderation', protect, requirePermission('comments:moderate'), [
+  query('status')
+    .optional()
+    .isIn([...MODERATION_STATUSES, 'all'])
+    .withMessage(`Status must be one of: ${MODERATION_STATUSES.join(', ')}, all`),
+  query('post')
+    .optional()
+    .isMongoId()
+    .withMessage('Post must be a valid id'),
+  query('author')
+    .optional()
+    .isMongoId()
+    .withMessage('Author must be a valid id'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be a valid date'),
+  query('sort')
+    .optional()
+    .isIn(['oldest', 'newest', 'spam'])
+    .withMessage('Sort must be oldest, newest or spam')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const pagination = parsePagination(req);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
+
+    const status = req.query.status || 'pending';
+    const filter = {};
+    if (status !== 'all') filter.moderationStatus = status;
+    if (req.query.author) filter.author = req.query.author;
+    if (req.query.q) filter.text = { $regex: escapeRegex(req.query.q), $options: 'i' };
+    if (req.query.flagged === 'true') filter['filterFlags.0'] = { $exists: true };
+
+    if (req.query.from || req.query.to) {
+      filter.createdAt = {};
+      if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+    }
+
+    if (req.query.post) {
+      filter.post = req.query.post;
+    } else if (req.query.category) {
+      const resolved = await Category.resolveSlugOrId(req.query.category);
+      if (!resolved) {
+        return res.status(400).json({
+          success: false,
+          message: 'Category not found'
+        });
+      }
+      filter.post = { $in: await Post.distinct('_id', { category: resolved._id }) };
+    }
+
+    const { items: comments, pagination: paginationResult } = await paginate(req, res, pagination, {
+      model: Comment,
+      filter,
+      sort: req.query.sort === 'spam'
+        ? { field: 'spamScore', direction: -1 }
+        : { field: 'createdAt', direction: req.query.sort === 'newest' ? -1 : 1 },
+      build: commentsQuery => commentsQuery
+        .populate('author', 'name avatar')
+        .populate('post', 'title slug')
+        .populate('moderatedBy', 'name')
+    });
+
+    res.json({
+      success: true,
+      count: comments.length,
+      pagination: paginationResult,
+      data: {
+        comments: comments.map(comment => ({
+          id: comment._id,
+          text: comment.text,
+          author: comment.author ? {
+            id: comment.author._id,
+            name: comment.author.name,
+            avatar: comment.author.avatar
+          } : null,
+          post: comment.post ? {
+            id: comment.post._id,
+            title: comment.post.title,
+            slug: comment.post.slug
+          } : null,
+          parentComment: comment.parentComment,
+          moderationStatus: comment.moderationStatus,
+          rejectionReason: comment.rejectionReason,
+          spamScore: comment.spamScore,
+          filterFlags: comment.filterFlags,
+          moderatedBy: comment.moderatedBy ? {
+            id: comment.moderatedBy._id,
+            name: comment.moderatedBy.name
+          } : null,
+          moderatedAt: comment.moderatedAt,
+          isEdited: comment.isEdited,
+          createdAt: comment.createdAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get moderation queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Approve, reject or delete many comments at once
+// @route   POST /api/comments/moderation/bulk
+// @access  Private (comments:moderate)
+router.post('/moderation/bulk', protect, requirePermission('comments:moderate'), [
+  body('ids')
+    .isArray({ min: 1, max: BULK_LIMIT })
+    .withMessage(`ids must be an array of 1 to ${BULK_LIMIT} comment ids`),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Each id must be a valid comment id'),
+  body('action')
+    .isIn(BULK_ACTIONS)
+    .withMessage(`Action must be one of: ${BULK_ACTIONS.join(', ')}`),
+  body('reason')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { action, reason } = req.body;
+    const ids = [...new Set(req.body.ids)];
+
+    // Either every comment changes or none does; readers and authors only
+    // hear about it once the transaction has committed
+    const changes = await withTransaction(async (session) => {
+      const found = await Comment.find({ _id: { $in: ids } }).session(session);
+      const changed = [];
+      for (const comment of found) {
+        const previous = comment.moderationStatus;
+        if (action === 'delete') {
+          await comment.softDelete(req.user._id, { session });
+        } else {
+          comment.setModeration(action === 'approve' ? 'approved' : 'rejected', req.user._id, reason);
+          await comment.save({ session });
+        }
+        changed.push({ comment, previous });
+      }
+      return changed;
+    });
+
+    for (const { comment, previous } of changes) {
+      if (action === 'delete') {
+        if (comment.isApproved) {
+          withdrawComment(comment);
+        }
+      } else {
+        await announceModeration(comment, previous, req.user, reason);
+      }
+    }
+
+    const comments = changes.map(change => change.comment);
+    const found = comments.map(comment => comment._id.toString());
+
+    res.json({
+      success: true,
+      message: `${comments.length} comment${comments.length === 1 ? '' : 's'} processed`,
+      data: {
+        action,
+        processed: found,
+        notFound: ids.filter(id => !found.includes(id))
+      }
+    });
+  } catch (error) {
+    console.error('Bulk moderate comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Update comment
 // @route   PUT /api/comments/:id
-// @access  Private (Author or Admin)
-router.put('/:id', protect, isAuthor(Comment), [
+// @access  Private (Author or comments:update:any)
+router.put('/:id', protect, isAuthor(Comment, 'comments:update:any'), [
   body('text')
     .trim()
     .isLength({ min: 1, max: 1000 })
@@ -194,13 +464,37 @@ router.put('/:id', protect, isAuthor(Comment), [
 
     comment.text = text;
     comment.isEdited = true;
+
+    // Edits go through the same filters and review as new comments
+    const wasApproved = comment.isApproved;
+    // Screened as the comment's author, so a moderator fixing someone else's
+    // comment neither trusts it nor gets its account judged instead
+    const post = await Post.findById(comment.post);
+    const author = comment.author.equals(req.user._id)
+      ? req.user
+      : await User.findById(comment.author).populate('role');
+    const screening = await screenComment({ text, user: author, post, comment });
+    comment.spamScore = screening.score;
+    comment.filterFlags = screening.flags.map(flag => flag.reason);
+
+    if (comment.moderationStatus !== 'pending' &&
+      (screening.hold || (post && await requiresPreModeration(post, author)))) {
+      comment.setModeration('pending');
+    }
+
     await comment.save();
 
     await comment.populate('author', 'name avatar');
 
+    if (comment.isApproved) {
+      publish(postChannel(comment.post), 'comment:updated', toCommentEvent(comment));
+    } else if (wasApproved) {
+      withdrawComment(comment);
+    }
+
     res.json({
       success: true,
-      message: 'Comment updated successfully',
+      message: comment.isApproved ? 'Comment updated successfully' : 'Comment updated and submitted for review',
       data: {
         comment: {
           id: comment._id,
@@ -211,6 +505,7 @@ router.put('/:id', protect, isAuthor(Comment), [
             avatar: comment.author.avatar
           },
           isEdited: comment.isEdited,
+          moderationStatus: comment.moderationStatus,
           updatedAt: comment.updatedAt
         }
       }
@@ -226,19 +521,17 @@ router.put('/:id', protect, isAuthor(Comment), [
 
 // @desc    Delete comment
 // @route   DELETE /api/comments/:id
-// @access  Private (Author or Admin)
-router.delete('/:id', protect, isAuthor(Comment), async (req, res) => {
+// @access  Private (Author or comments:delete:any)
+router.delete('/:id', protect, isAuthor(Comment, 'comments:delete:any'), async (req, res) => {
   try {
     const comment = req.resource;
 
-    // If this is a reply, remove it from parent comment's replies array
-    if (comment.parentComment) {
-      await Comment.findByIdAndUpdate(comment.parentComment, {
-        $pull: { replies: comment._id }
-      });
-    }
+    // Kept as a placeholder in its thread until the purge job removes it
+    await comment.softDelete(req.user._id);
 
-    await comment.remove();
+    if (comment.isApproved) {
+      withdrawComment(comment);
+    }
 
     res.json({
       success: true,
@@ -253,13 +546,143 @@ router.delete('/:id', protect, isAuthor(Comment), async (req, res) => {
   }
 });
 
+// @desc    Get deleted comments that can still be restored
+// @route   GET /api/comments/deleted
+// @access  Private (comments:delete:any)
+router.get('/deleted', protect, requirePermission('comments:delete:any'), [
+  query('post')
+    .optional()
+    .isMongoId()
+    .withMessage('Post must be a valid id')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const pagination = parsePagination(req);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
+
+    const filter = { deletedAt: { $ne: null } };
+    if (req.query.post) filter.post = req.query.post;
+
+    const { items: comments, pagination: paginationResult } = await paginate(req, res, pagination, {
+      model: Comment,
+      filter,
+      sort: { field: 'deletedAt', direction: -1 },
+      build: query => query
+        .populate('author', 'name avatar')
+        .populate('deletedBy', 'name')
+        .populate({ path: 'post', select: 'title slug', options: { withDeleted: true } })
+    });
+
+    res.json({
+      success: true,
+      count: comments.length,
+      pagination: paginationResult,
+      data: {
+        purgeAfterDays: getRetentionDays(),
+        comments: comments.map(comment => ({
+          id: comment._id,
+          text: comment.text,
+          author: comment.author ? {
+            id: comment.author._id,
+            name: comment.author.name,
+            avatar: comment.author.avatar
+          } : null,
+          post: comment.post ? {
+            id: comment.post._id,
+            title: comment.post.title,
+            slug: comment.post.slug,
+            isDeleted: Boolean(comment.post.deletedAt)
+          } : null,
+          deletedBy: comment.deletedBy ? {
+            id: comment.deletedBy._id,
+            name: comment.deletedBy.name
+          } : null,
+          deletedAt: comment.deletedAt,
+          createdAt: comment.createdAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get deleted comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Restore a deleted comment
+// @route   POST /api/comments/:id/restore
+// @access  Private (comments:delete:any)
+router.post('/:id/restore', protect, requirePermission('comments:delete:any'), async (req, res) => {
+  try {
+    const comment = mongoose.isValidObjectId(req.params.id)
+      ? await Comment.findOne({ _id: req.params.id, deletedAt: { $ne: null } })
+      : null;
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted comment not found'
+      });
+    }
+
+    // Comments deleted along with their post come back with the post
+    const post = await Post.findById(comment.post);
+    if (!post) {
+      return res.status(400).json({
+        success: false,
+        message: 'Restore the post this comment belongs to first'
+      });
+    }
+
+    await comment.restore();
+
+    if (comment.isApproved) {
+      await comment.populate('author', 'name avatar');
+      publish(postChannel(comment.post), 'comment:created', toCommentEvent(comment));
+    }
+
+    res.json({
+      success: true,
+      message: 'Comment restored successfully',
+      data: {
+        comment: {
+          id: comment._id,
+          post: comment.post,
+          parentComment: comment.parentComment,
+          isApproved: comment.isApproved
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Restore comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Like/Unlike comment
 // @route   POST /api/comments/:id/like
 // @access  Private
 router.post('/:id/like', protect, async (req, res) => {
   try {
     const comment = await Comment.findById(req.params.id);
-    if (!comment) {
+    if (!comment || !comment.isApproved) {
       return res.status(404).json({
         success: false,
         message: 'Comment not found'
@@ -278,6 +701,13 @@ router.post('/:id/like', protect, async (req, res) => {
 
     await comment.save();
 
+    publish(postChannel(comment.post), userLiked ? 'comment:unliked' : 'comment:liked', {
+      id: comment._id,
+      post: comment.post,
+      user: req.user._id,
+      likes: comment.likes.length
+    });
+
     res.json({
       success: true,
       message: `Comment ${userLiked ? 'unliked' : 'liked'} successfully`,
@@ -295,12 +725,109 @@ router.post('/:id/like', protect, async (req, res) => {
   }
 });
 
-// @desc    Approve/Disapprove comment (Admin only)
+// @desc    Report a comment
+// @route   POST /api/comments/:id/report
+// @access  Private
+router.post('/:id/report', protect, [
+  body('reason')
+    .isIn(Object.keys(Report.REASONS))
+    .withMessage(`Reason must be one of: ${Object.keys(Report.REASONS).join(', ')}`),
+  body('details')
+    .if(body('reason').equals('other'))
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Please describe the problem when choosing other'),
+  body('details')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Details cannot be more than 1000 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const comment = await Comment.findById(req.params.id);
+    if (!comment || !comment.isApproved) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    if (comment.author.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report your own comment'
+      });
+    }
+
+    const report = await fileReport({
+      reporter: req.user,
+      targetType: 'comment',
+      target: comment,
+      reason: req.body.reason,
+      details: req.body.details
+    });
+
+    if (!report) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reported this comment'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Thanks for your report. A moderator will review it',
+      data: {
+        report: {
+          id: report._id,
+          reason: report.reason,
+          status: report.status,
+          createdAt: report.createdAt
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Report comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Approve/Disapprove comment
 // @route   PATCH /api/comments/:id/approve
-// @access  Admin
-router.patch('/:id/approve', protect, authorize('admin'), async (req, res) => {
+// @access  Private (comments:moderate)
+router.patch('/:id/approve', protect, requirePermission('comments:moderate'), [
+  body('isApproved')
+    .isBoolean()
+    .withMessage('isApproved must be true or false'),
+  body('reason')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot be more than 500 characters')
+], async (req, res) => {
   try {
-    const { isApproved } = req.body;
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const isApproved = req.body.isApproved === true || req.body.isApproved === 'true';
 
     const comment = await Comment.findById(req.params.id);
     if (!comment) {
@@ -310,16 +837,17 @@ router.patch('/:id/approve', protect, authorize('admin'), async (req, res) => {
       });
     }
 
-    comment.isApproved = isApproved;
-    await comment.save();
+    await moderateComment(comment, isApproved ? 'approved' : 'rejected', req.user, req.body.reason);
 
     res.json({
       success: true,
-      message: `Comment ${isApproved ? 'approved' : 'disapproved'} successfully`,
+      message: `Comment ${isApproved ? 'approved' : 'rejected'} successfully`,
       data: {
         comment: {
           id: comment._id,
-          isApproved: comment.isApproved
+          isApproved: comment.isApproved,
+          moderationStatus: comment.moderationStatus,
+          rejectionReason: comment.rejectionReason
         }
       }
     });
@@ -337,7 +865,7 @@ router.patch('/:id/approve', protect, authorize('admin'), async (req, res) => {
 // @access  Public
 router.get('/:id/replies', async (req, res) => {
   try {
-    const comment = await Comment.findById(req.params.id);
+    const comment = await Comment.findById(req.params.id).setOptions({ withDeleted: true });
     if (!comment) {
       return res.status(404).json({
         success: false,
@@ -347,8 +875,10 @@ router.get('/:id/replies', async (req, res) => {
 
     const replies = await Comment.find({
       parentComment: req.params.id,
-      isApproved: true
+      isApproved: true,
+      ...Comment.threadFilter()
     })
+      .setOptions({ withDeleted: true })
       .populate('author', 'name avatar')
       .sort({ createdAt: 1 });
 
@@ -357,15 +887,7 @@ router.get('/:id/replies', async (req, res) => {
       count: replies.length,
       data: {
         replies: replies.map(reply => ({
-          id: reply._id,
-          text: reply.text,
-          author: {
-            id: reply.author._id,
-            name: reply.author.name,
-            avatar: reply.author.avatar
-          },
-          likes: reply.likes.length,
-          isEdited: reply.isEdited,
+          ...readerFields(reply),
           createdAt: reply.createdAt,
           updatedAt: reply.updatedAt
         }))
@@ -0,0 +1,114 @@
+const express = require('express');
+const Post = require('../models/Post');
+const Follow = require('../models/Follow');
+const { protect } = require('../middleware/auth');
+const { parsePagination, paginate } = require('../utils/pagination');
+
+const router = express.Router();
+
+// Why a post showed up in the feed, given what the user follows
+const getFeedReasons = (post, sources) => {
+  const reasons = [];
+
+  if (sources.users.some(id => id.equals(post.author._id))) {
+    reasons.push({ type: 'user', id: post.author._id, name: post.author.name });
+  }
+  if (sources.categories.some(id => id.equals(post.category._id))) {
+    reasons.push({ type: 'category', id: post.category._id, name: post.category.name });
+  }
+  post.tags
+    .filter(tag => sources.tags.includes(tag))
+    .forEach(tag => reasons.push({ type: 'tag', name: tag }));
+
+  return reasons;
+};
+
+// @desc    Get posts from followed users, categories and tags, newest first
+// @route   GET /api/feed
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const pagination = parsePagination(req);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
+
+    const sources = await Follow.getFollowedSources(req.user._id);
+
+    const followed = [];
+    if (sources.users.length > 0) followed.push({ author: { $in: sources.users } });
+    if (sources.categories.length > 0) followed.push({ category: { $in: sources.categories } });
+    if (sources.tags.length > 0) followed.push({ tags: { $in: sources.tags } });
+
+    if (followed.length === 0) {
+      return res.json({
+        success: true,
+        count: 0,
+        pagination: { limit: pagination.limit, next: null, prev: null },
+        data: {
+          posts: []
+        }
+      });
+    }
+
+    const filter = {
+      $and: [
+        Post.visibleFilter(),
+        { $or: followed },
+        { author: { $ne: req.user._id } }
+      ]
+    };
+
+    const { items: posts, pagination: paginationResult } = await paginate(req, res, pagination, {
+      model: Post,
+      filter,
+      sort: { field: 'publishedAt', direction: -1 },
+      build: query => query
+        .select('-content')
+        .populate('author', 'name avatar')
+        .populate('category', 'name slug')
+    });
+
+    res.json({
+      success: true,
+      count: posts.length,
+      pagination: paginationResult,
+      data: {
+        posts: posts.map(post => ({
+          id: post._id,
+          title: post.title,
+          slug: post.slug,
+          excerpt: post.excerpt,
+          author: {
+            id: post.author._id,
+            name: post.author.name,
+            avatar: post.author.avatar
+          },
+          category: {
+            id: post.category._id,
+            name: post.category.name,
+            slug: post.category.slug
+          },
+          tags: post.tags,
+          featuredImage: post.featuredImage,
+          viewCount: post.viewCount,
+          reactions: post.reactionCounts,
+          bookmarksCount: post.bookmarksCount,
+          publishedAt: post.publishedAt,
+          reasons: getFeedReasons(post, sources)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,259 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const { protect } = require('../middleware/auth');
+const { parsePagination, paginate } = require('../utils/pagination');
+const { wantsNotification } = require('../utils/notifications');
+
+const router = express.Router();
+
+router.use(protect);
+
+const countUnread = (userId) => Notification.countDocuments({ recipient: userId, readAt: null });
+
+// Every notification type with whether the user receives it
+const describePreferences = (user) => Object.entries(Notification.TYPES).map(([type, description]) => ({
+  type,
+  description,
+  enabled: wantsNotification(user, type)
+}));
+
+// @desc    Get current user's notifications
+// @route   GET /api/notifications
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const pagination = parsePagination(req);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
+
+    const filter = { recipient: req.user._id };
+    if (req.query.unread === 'true') {
+      filter.readAt = null;
+    }
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+
+    const { items: notifications, pagination: paginationResult } = await paginate(req, res, pagination, {
+      model: Notification,
+      filter,
+      sort: { field: 'createdAt', direction: -1 },
+      build: query => query
+        .populate('actor', 'name avatar')
+        .populate('post', 'title slug')
+    });
+
+    res.json({
+      success: true,
+      count: notifications.length,
+      unreadCount: await countUnread(req.user._id),
+      pagination: paginationResult,
+      data: {
+        notifications: notifications.map(notification => ({
+          id: notification._id,
+          type: notification.type,
+          message: notification.message,
+          actor: notification.actor ? {
+            id: notification.actor._id,
+            name: notification.actor.name,
+            avatar: notification.actor.avatar
+          } : null,
+          post: notification.post ? {
+            id: notification.post._id,
+            title: notification.post.title,
+            slug: notification.post.slug
+          } : null,
+          comment: notification.comment,
+          isRead: Boolean(notification.readAt),
+          readAt: notification.readAt,
+          createdAt: notification.createdAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get number of unread notifications
+// @route   GET /api/notifications/unread-count
+// @access  Private
+router.get('/unread-count', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        unreadCount: await countUnread(req.user._id)
+      }
+    });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get notification preferences
+// @route   GET /api/notifications/preferences
+// @access  Private
+router.get('/preferences', async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      preferences: describePreferences(req.user)
+    }
+  });
+});
+
+// @desc    Turn notification types on or off
+// @route   PUT /api/notifications/preferences
+// @access  Private
+router.put('/preferences', [
+  body()
+    .isObject()
+    .withMessage('Preferences must be an object of type: boolean pairs'),
+  body('*')
+    .isBoolean({ strict: true })
+    .withMessage('Each preference must be true or false')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const unknown = Object.keys(req.body).filter(type => !Notification.TYPES[type]);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown notification types: ${unknown.join(', ')}`
+      });
+    }
+
+    const user = req.user;
+    Object.entries(req.body).forEach(([type, enabled]) => {
+      user.notificationPreferences.set(type, enabled);
+    });
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: {
+        preferences: describePreferences(user)
+      }
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Mark all notifications as read
+// @route   PATCH /api/notifications/read-all
+// @access  Private
+router.patch('/read-all', async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: {
+        marked: result.modifiedCount,
+        unreadCount: 0
+      }
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Mark a notification as read
+// @route   PATCH /api/notifications/:id/read
+// @access  Private
+router.patch('/:id/read', async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, recipient: req.user._id });
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read',
+      data: {
+        id: notification._id,
+        readAt: notification.readAt,
+        unreadCount: await countUnread(req.user._id)
+      }
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Delete a notification
+// @route   DELETE /api/notifications/:id
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await Notification.deleteOne({ _id: req.params.id, recipient: req.user._id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,71 +1,353 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
 const Post = require('../models/Post');
 const Category = require('../models/Category');
-const { protect, authorize, isAuthor } = require('../middleware/auth');
+const PostRevision = require('../models/PostRevision');
+const Tag = require('../models/Tag');
+const PostReaction = require('../models/PostReaction');
+const Bookmark = require('../models/Bookmark');
+const Report = require('../models/Report');
+const Comment = require('../models/Comment');
+const { protect, optionalAuth, requirePermission, isAuthor, requireVerifiedEmail } = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
+const { diffLines, summarizeDiff } = require('../utils/diff');
+const escapeRegex = require('../utils/escapeRegex');
+const { parsePagination, paginate, pageResult } = require('../utils/pagination');
+const { TRENDING_WINDOWS, getTrendingPosts } = require('../utils/trending');
+const { recordView, getPostStats } = require('../utils/views');
+const { fileReport } = require('../utils/reports');
+const { COMMENT_SORTS, getMaxDepth, buildTree } = require('../utils/commentTree');
+const { getRetentionDays } = require('../utils/purge');
+const { withTransaction } = require('../utils/transaction');
+const { getSeriesNavigation } = require('../utils/series');
 
 const router = express.Router();
 
+const POST_STATUSES = ['draft', 'in_review', 'scheduled', 'published', 'archived'];
+
+// Statuses an edit can set; posts only enter review through /submit
+const EDITABLE_STATUSES = POST_STATUSES.filter(status => status !== 'in_review');
+
+// Work out the status a post should get when its author asks for one.
+// Returns { status, publishAt } or { error } if the request isn't allowed.
+const resolveStatus = (user, requestedStatus, requestedPublishAt) => {
+  const publishAt = requestedPublishAt ? new Date(requestedPublishAt) : null;
+
+  if (requestedStatus === 'published' || requestedStatus === 'scheduled') {
+    if (!hasPermission(user, 'posts:publish')) {
+      return { error: 'You are not allowed to publish directly; submit the post for review instead' };
+    }
+
+    if (publishAt && publishAt > new Date()) {
+      return { status: 'scheduled', publishAt };
+    }
+
+    if (requestedStatus === 'scheduled') {
+      return { error: 'Scheduled posts need a publishAt date in the future' };
+    }
+
+    return { status: 'published', publishAt: null };
+  }
+
+  return { status: requestedStatus || 'draft', publishAt };
+};
+
+// Find an active category by id, slug or (case-insensitive) name
+const findCategory = async (value) => {
+  const resolved = await Category.resolveSlugOrId(value);
+  if (resolved) {
+    return Category.findOne({ _id: resolved._id, isActive: true });
+  }
+
+  return Category.findOne({ name: { $regex: new RegExp(`^${escapeRegex(value)}$`, 'i') }, isActive: true });
+};
+
+// Capture the revision-tracked fields of a post for comparison
+const snapshotTracked = (post) => {
+  const snapshot = {};
+  PostRevision.TRACKED_FIELDS.forEach(field => {
+    const value = post[field];
+    snapshot[field] = JSON.stringify(value && value._id ? value._id : value);
+  });
+  return snapshot;
+};
+
+// Check whether a user may see a post that isn't public yet
+const canViewUnpublished = (user, post) => {
+  if (!user) {
+    return false;
+  }
+  const authorId = post.author._id ? post.author._id : post.author;
+  return authorId.toString() === user._id.toString() || hasPermission(user, 'posts:review');
+};
+
+// Sort options for post listings; prefix with "-" for descending
+const LIST_SORT_FIELDS = {
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  publishedAt: 'publishedAt',
+  views: 'viewCount',
+  comments: 'approvedCommentsCount'
+};
+
+// Fields that can be requested with ?fields=
+const LIST_FIELDS = [
+  'title', 'slug', 'content', 'excerpt', 'author', 'category', 'tags',
+  'featuredImage', 'status', 'viewCount', 'isFeatured', 'commentsCount',
+  'comments', 'reactions', 'bookmarksCount', 'publishedAt', 'createdAt', 'updatedAt'
+];
+
+// Build the Mongo filter for a post listing from the query string.
+// Returns { query } or { status, message } when the request isn't allowed.
+const buildListQuery = async (req) => {
+  let query;
+
+  // Anything other than published posts is only visible to its author,
+  // or to reviewers
+  if (req.query.status && req.query.status !== 'published') {
+    if (!POST_STATUSES.includes(req.query.status)) {
+      return { status: 400, message: `Status must be one of: ${POST_STATUSES.join(', ')}` };
+    }
+    if (!req.user) {
+      return { status: 401, message: 'Log in to list unpublished posts' };
+    }
+
+    query = { status: req.query.status };
+    if (!hasPermission(req.user, 'posts:review')) {
+      query.author = req.user._id;
+    }
+  } else {
+    query = Post.visibleFilter();
+  }
+
+  if (req.query.author) {
+    if (!mongoose.isValidObjectId(req.query.author)) {
+      return { status: 400, message: 'Author must be a valid id' };
+    }
+    const authorId = new mongoose.Types.ObjectId(req.query.author);
+    if (query.author && !query.author.equals(authorId)) {
+      return { status: 403, message: 'You can only list your own unpublished posts' };
+    }
+    query.author = authorId;
+  }
+
+  if (req.query.category) {
+    const category = await Category.resolveSlugOrId(req.query.category) ||
+      await Category.findOne({ name: req.query.category });
+    if (category) {
+      // includeSubcategories=true also matches posts anywhere below it
+      if (req.query.includeSubcategories === 'true') {
+        const descendantIds = await Category.getDescendantIds(category._id);
+        query.category = { $in: [category._id, ...descendantIds] };
+      } else {
+        query.category = category._id;
+      }
+    }
+  }
+
+  // Filter by tags; tagMode=all requires every tag, otherwise any matches
+  const tagFilter = req.query.tags || req.query.tag;
+  if (tagFilter) {
+    const tags = await Tag.canonicalize(tagFilter);
+    if (tags.length > 0) {
+      query.tags = req.query.tagMode === 'all' ? { $all: tags } : { $in: tags };
+    }
+  }
+
+  if (req.query.featured !== undefined) {
+    query.isFeatured = req.query.featured === 'true';
+  }
+
+  // Date range on creation date
+  if (req.query.from || req.query.to) {
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+      return { status: 400, message: 'from and to must be valid dates' };
+    }
+
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = from;
+    if (to) query.createdAt.$lte = to;
+  }
+
+  // Simple substring match; ranked search lives at GET /api/search
+  if (req.query.search) {
+    const pattern = escapeRegex(req.query.search);
+    query.$and = [{
+      $or: [
+        { title: { $regex: pattern, $options: 'i' } },
+        { content: { $regex: pattern, $options: 'i' } }
+      ]
+    }];
+  }
+
+  return { query };
+};
+
+// Parse ?sort= into { field, direction }
+const parseListSort = (value = '-createdAt') => {
+  const direction = value.startsWith('-') ? -1 : 1;
+  const key = value.replace(/^[-+]/, '');
+  if (!LIST_SORT_FIELDS[key]) {
+    return null;
+  }
+  return { field: LIST_SORT_FIELDS[key], direction };
+};
+
+// Parse ?fields= into a list of allowed field names, or null for all
+const parseListFields = (value) => {
+  if (!value) {
+    return null;
+  }
+  const fields = value.split(',').map(field => field.trim()).filter(field => LIST_FIELDS.includes(field));
+  return fields.length > 0 ? fields : null;
+};
+
+// Keep only the requested fields (plus id) of a formatted post
+const pickFields = (post, fields) => {
+  if (!fields) {
+    return post;
+  }
+  const picked = { id: post.id };
+  fields.forEach(field => {
+    picked[field] = post[field];
+  });
+  return picked;
+};
+
 // @desc    Get all posts
 // @route   GET /api/posts
-// @access  Public
-router.get('/', async (req, res) => {
+// @access  Public (status filter: Author or posts:review)
+router.get('/', optionalAuth, [
+  query(['sort', 'fields', 'search', 'status', 'author', 'category', 'includeSubcategories', 'tags', 'tag', 'tagMode', 'featured', 'from', 'to'])
+    .optional()
+    .isString()
+    .withMessage((value, { path }) => `${path} must be a single value`)
+], async (req, res) => {
   try {
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 10;
-    const startIndex = (page - 1) * limit;
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const pagination = parsePagination(req);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
 
     // Build query
-    let query = { status: 'published' };
-    
-    if (req.query.category) {
-      const category = await Category.findOne({ 
-        $or: [
-          { _id: req.query.category },
-          { name: req.query.category }
-        ]
+    const { query, status, message } = await buildListQuery(req);
+    if (!query) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const sort = parseListSort(req.query.sort);
+    if (!sort) {
+      return res.status(400).json({
+        success: false,
+        message: `Sort must be one of: ${Object.keys(LIST_SORT_FIELDS).join(', ')} (prefix with - for descending)`
       });
-      if (category) {
-        query.category = category._id;
-      }
     }
 
-    if (req.query.search) {
-      query.$or = [
-        { title: { $regex: req.query.search, $options: 'i' } },
-        { content: { $regex: req.query.search, $options: 'i' } }
-      ];
+    if (sort.field === 'approvedCommentsCount' && pagination.mode === 'cursor') {
+      return res.status(400).json({
+        success: false,
+        message: 'Sorting by comments is only available with page-number pagination'
+      });
     }
 
-    const posts = await Post.find(query)
-      .populate('author', 'name avatar')
-      .populate('category', 'name')
-      .populate({
-        path: 'comments',
-        match: { isApproved: true },
-        populate: {
-          path: 'author',
-          select: 'name avatar'
-        }
-      })
-      .skip(startIndex)
-      .limit(limit)
-      .sort({ createdAt: -1 });
+    const fields = parseListFields(req.query.fields);
+    const wantsComments = !fields || fields.includes('comments') || fields.includes('commentsCount');
+
+    // Skip the post body unless it was asked for, and comments unless needed
+    const build = (postsQuery) => {
+      if (fields && !fields.includes('content')) {
+        postsQuery = postsQuery.select('-content');
+      }
+
+      postsQuery = postsQuery
+        .populate('author', 'name avatar')
+        .populate('category', 'name slug');
+
+      if (wantsComments) {
+        postsQuery = postsQuery.populate({
+          path: 'comments',
+          match: { isApproved: true },
+          populate: {
+            path: 'author',
+            select: 'name avatar'
+          }
+        });
+      }
+      return postsQuery;
+    };
+
+    let posts;
+    let paginationResult;
+    if (sort.field === 'approvedCommentsCount') {
+      // Comment counts aren't stored on the post, so rank the page in an aggregation
+      const ranked = await Post.aggregate([
+        { $match: query },
+        {
+          $lookup: {
+            from: 'comments',
+            let: { postId: '$_id' },
+            pipeline: [
+              { $match: { $expr: { $eq: ['$post', '$$postId'] }, isApproved: true, deletedAt: null } },
+              { $count: 'count' }
+            ],
+            as: 'commentStats'
+          }
+        },
+        {
+          $addFields: {
+            approvedCommentsCount: { $ifNull: [{ $arrayElemAt: ['$commentStats.count', 0] }, 0] }
+          }
+        },
+        { $sort: { approvedCommentsCount: sort.direction, createdAt: -1 } },
+        { $skip: pagination.skip },
+        { $limit: pagination.limit },
+        { $project: { _id: 1 } }
+      ]);
+      const ids = ranked.map(post => post._id.toString());
+
+      posts = await build(Post.find({ _id: { $in: ids } }));
+      posts.sort((a, b) => ids.indexOf(a._id.toString()) - ids.indexOf(b._id.toString()));
 
-    const total = await Post.countDocuments(query);
+      const total = await Post.countDocuments(query);
+      paginationResult = pageResult(req, res, pagination, total);
+    } else {
+      const result = await paginate(req, res, pagination, {
+        model: Post,
+        filter: query,
+        sort,
+        build
+      });
+      posts = result.items;
+      paginationResult = result.pagination;
+    }
 
     res.json({
       success: true,
       count: posts.length,
-      pagination: {
-        current: page,
-        pages: Math.ceil(total / limit),
-        total
-      },
+      pagination: paginationResult,
       data: {
-        posts: posts.map(post => ({
+        posts: posts.map(post => pickFields({
           id: post._id,
           title: post.title,
+          slug: post.slug,
           content: post.content,
           excerpt: post.excerpt,
           author: {
@@ -75,17 +357,22 @@ router.get('/', async (req, res) => {
           },
           category: {
             id: post.category._id,
-            name: post.category.name
+            name: post.category.name,
+            slug: post.category.slug
           },
           tags: post.tags,
           featuredImage: post.featuredImage,
+          status: post.status,
           viewCount: post.viewCount,
           isFeatured: post.isFeatured,
           commentsCount: post.comments ? post.comments.length : 0,
           comments: post.comments ? post.comments.slice(0, 3) : [], // Show only first 3 comments
+          reactions: post.reactionCounts,
+          bookmarksCount: post.bookmarksCount,
+          publishedAt: post.publishedAt,
           createdAt: post.createdAt,
           updatedAt: post.updatedAt
-        }))
+        }, fields))
       }
     });
   } catch (error) {
@@ -97,14 +384,185 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @desc    Get trending posts
+// @route   GET /api/posts/trending
+// @access  Public
+router.get('/trending', async (req, res) => {
+  try {
+    const window = req.query.window || '7d';
+    if (!TRENDING_WINDOWS[window]) {
+      return res.status(400).json({
+        success: false,
+        message: `Window must be one of: ${Object.keys(TRENDING_WINDOWS).join(', ')}`
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+
+    let category;
+    if (req.query.category) {
+      category = await Category.resolveSlugOrId(req.query.category);
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          message: 'Category not found'
+        });
+      }
+    }
+
+    const trendingPosts = await getTrendingPosts({
+      window,
+      limit,
+      category: category ? category._id : undefined
+    });
+
+    res.json({
+      success: true,
+      count: trendingPosts.length,
+      data: {
+        window,
+        posts: trendingPosts
+      }
+    });
+  } catch (error) {
+    console.error('Get trending posts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get posts waiting for review
+// @route   GET /api/posts/review-queue
+// @access  Private (posts:review)
+router.get('/review-queue', protect, requirePermission('posts:review'), async (req, res) => {
+  try {
+    const pagination = parsePagination(req);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
+
+    // Oldest first, so posts waiting longest are reviewed first
+    const { items: posts, pagination: paginationResult } = await paginate(req, res, pagination, {
+      model: Post,
+      filter: { status: 'in_review' },
+      sort: { field: 'updatedAt', direction: 1 },
+      build: query => query
+        .populate('author', 'name avatar')
+        .populate('category', 'name slug')
+    });
+
+    res.json({
+      success: true,
+      count: posts.length,
+      pagination: paginationResult,
+      data: {
+        posts: posts.map(post => ({
+          id: post._id,
+          title: post.title,
+          slug: post.slug,
+          excerpt: post.excerpt,
+          author: {
+            id: post.author._id,
+            name: post.author.name,
+            avatar: post.author.avatar
+          },
+          category: {
+            id: post.category._id,
+            name: post.category.name,
+            slug: post.category.slug
+          },
+          publishAt: post.publishAt,
+          reviewNotes: post.reviewNotes,
+          updatedAt: post.updatedAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get review queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get deleted posts that can still be restored
+// @route   GET /api/posts/deleted
+// @access  Private (posts:delete:any)
+router.get('/deleted', protect, requirePermission('posts:delete:any'), async (req, res) => {
+  try {
+    const pagination = parsePagination(req);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
+
+    const { items: posts, pagination: paginationResult } = await paginate(req, res, pagination, {
+      model: Post,
+      filter: { deletedAt: { $ne: null } },
+      sort: { field: 'deletedAt', direction: -1 },
+      build: query => query
+        .select('-content')
+        .populate('author', 'name avatar')
+        .populate('deletedBy', 'name')
+    });
+
+    res.json({
+      success: true,
+      count: posts.length,
+      pagination: paginationResult,
+      data: {
+        purgeAfterDays: getRetentionDays(),
+        posts: posts.map(post => ({
+          id: post._id,
+          title: post.title,
+          slug: post.slug,
+          status: post.status,
+          author: post.author ? {
+            id: post.author._id,
+            name: post.author.name,
+            avatar: post.author.avatar
+          } : null,
+          deletedBy: post.deletedBy ? {
+            id: post.deletedBy._id,
+            name: post.deletedBy.name
+          } : null,
+          deletedAt: post.deletedAt,
+          createdAt: post.createdAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get deleted posts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Get single post
 // @route   GET /api/posts/:id
-// @access  Public
-router.get('/:id', async (req, res) => {
+// @access  Public (unpublished posts: Author or posts:review)
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
-    const post = await Post.findById(req.params.id)
+    const resolved = await Post.resolveSlugOrId(req.params.id);
+
+    // Old slugs redirect to the post's current URL
+    if (resolved && resolved.redirected) {
+      return res.redirect(301, `${req.baseUrl}/${resolved.slug}`);
+    }
+
+    const post = resolved && await Post.findById(resolved._id)
       .populate('author', 'name avatar bio')
-      .populate('category', 'name')
+      .populate('category', 'name slug')
       .populate({
         path: 'comments',
         match: { isApproved: true },
@@ -114,16 +572,26 @@ router.get('/:id', async (req, res) => {
         }
       });
 
-    if (!post) {
+    const isVisible = post && post.isVisible();
+    if (!post || (!isVisible && !canViewUnpublished(req.user, post))) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
       });
     }
 
-    // Increment view count
-    post.viewCount += 1;
-    await post.save();
+    // Count the view (deduplicated, ignoring bots and the author)
+    if (isVisible && await recordView(post, req)) {
+      post.viewCount += 1;
+    }
+
+    // What the current reader has done with this post
+    const viewer = req.user ? {
+      reactions: await PostReaction.find({ post: post._id, user: req.user._id }).distinct('type'),
+      isBookmarked: Boolean(await Bookmark.exists({ post: post._id, user: req.user._id }))
+    } : null;
+
+    const series = await getSeriesNavigation(post);
 
     res.json({
       success: true,
@@ -131,6 +599,7 @@ router.get('/:id', async (req, res) => {
         post: {
           id: post._id,
           title: post.title,
+          slug: post.slug,
           content: post.content,
           excerpt: post.excerpt,
           author: {
@@ -141,14 +610,22 @@ router.get('/:id', async (req, res) => {
           },
           category: {
             id: post.category._id,
-            name: post.category.name
+            name: post.category.name,
+            slug: post.category.slug
           },
           tags: post.tags,
           featuredImage: post.featuredImage,
+          status: post.status,
+          publishAt: post.publishAt,
+          publishedAt: post.publishedAt,
           viewCount: post.viewCount,
           isFeatured: post.isFeatured,
           commentsCount: post.comments ? post.comments.length : 0,
           comments: post.comments || [],
+          reactions: post.reactionCounts,
+          bookmarksCount: post.bookmarksCount,
+          series,
+          viewer,
           createdAt: post.createdAt,
           updatedAt: post.updatedAt
         }
@@ -166,7 +643,7 @@ router.get('/:id', async (req, res) => {
 // @desc    Create new post
 // @route   POST /api/posts
 // @access  Private
-router.post('/', protect, [
+router.post('/', protect, requireVerifiedEmail, requirePermission('posts:create'), [
   body('title')
     .trim()
     .isLength({ min: 5, max: 100 })
@@ -177,7 +654,15 @@ router.post('/', protect, [
     .withMessage('Content must be at least 10 characters'),
   body('category')
     .notEmpty()
-    .withMessage('Category is required')
+    .withMessage('Category is required'),
+  body('status')
+    .optional()
+    .isIn(POST_STATUSES)
+    .withMessage(`Status must be one of: ${POST_STATUSES.join(', ')}`),
+  body('publishAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('publishAt must be a valid date')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -189,15 +674,18 @@ router.post('/', protect, [
       });
     }
 
-    const { title, content, excerpt, category, tags, featuredImage, status } = req.body;
+    const { title, content, excerpt, category, tags, featuredImage, status, publishAt } = req.body;
+
+    const resolved = resolveStatus(req.user, status, publishAt);
+    if (resolved.error) {
+      return res.status(403).json({
+        success: false,
+        message: resolved.error
+      });
+    }
 
     // Find category
-    const categoryDoc = await Category.findOne({
-      $or: [
-        { _id: category },
-        { name: { $regex: new RegExp(`^${category}$`, 'i') } }
-      ]
-    });
+    const categoryDoc = await findCategory(category);
 
     if (!categoryDoc) {
       return res.status(400).json({
@@ -206,7 +694,7 @@ router.post('/', protect, [
       });
     }
 
-    const post = await Post.create({
+    const post = new Post({
       title,
       content,
       excerpt,
@@ -214,11 +702,18 @@ router.post('/', protect, [
       author: req.user.id,
       tags: tags || [],
       featuredImage,
-      status: status || 'published'
+      status: resolved.status,
+      publishAt: resolved.publishAt,
+      reviewNotes: resolved.status === 'in_review'
+        ? [{ reviewer: req.user.id, action: 'submitted' }]
+        : []
     });
+    await post.saveWithUniqueSlug();
+
+    await PostRevision.record(post, req.user.id, PostRevision.TRACKED_FIELDS);
 
     await post.populate('author', 'name avatar');
-    await post.populate('category', 'name');
+    await post.populate('category', 'name slug');
 
     res.status(201).json({
       success: true,
@@ -227,6 +722,7 @@ router.post('/', protect, [
         post: {
           id: post._id,
           title: post.title,
+          slug: post.slug,
           content: post.content,
           excerpt: post.excerpt,
           author: {
@@ -236,11 +732,13 @@ router.post('/', protect, [
           },
           category: {
             id: post.category._id,
-            name: post.category.name
+            name: post.category.name,
+            slug: post.category.slug
           },
           tags: post.tags,
           featuredImage: post.featuredImage,
           status: post.status,
+          publishAt: post.publishAt,
           createdAt: post.createdAt
         }
       }
@@ -256,8 +754,8 @@ router.post('/', protect, [
 
 // @desc    Update post
 // @route   PUT /api/posts/:id
-// @access  Private (Author or Admin)
-router.put('/:id', protect, isAuthor(Post), [
+// @access  Private (Author or posts:update:any)
+router.put('/:id', protect, isAuthor(Post, 'posts:update:any'), [
   body('title')
     .optional()
     .trim()
@@ -267,7 +765,23 @@ router.put('/:id', protect, isAuthor(Post), [
     .optional()
     .trim()
     .isLength({ min: 10 })
-    .withMessage('Content must be at least 10 characters')
+    .withMessage('Content must be at least 10 characters'),
+  body('status')
+    .optional()
+    .isIn(EDITABLE_STATUSES)
+    .withMessage(`Status must be one of: ${EDITABLE_STATUSES.join(', ')}; use /submit to send a post for review`),
+  body('publishAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('publishAt must be a valid date'),
+  body('premoderateComments')
+    .optional({ nullable: true })
+    .isBoolean({ strict: true })
+    .withMessage('premoderateComments must be true, false or null'),
+  body('regenerateSlug')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('regenerateSlug must be true or false')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -279,17 +793,47 @@ router.put('/:id', protect, isAuthor(Post), [
       });
     }
 
-    const { title, content, excerpt, category, tags, featuredImage, status } = req.body;
+    const { title, content, excerpt, category, tags, featuredImage, status, publishAt, premoderateComments } = req.body;
     const post = req.resource;
 
+    // Live and scheduled posts skipped review on their way out, so only
+    // users who may publish can change them
+    if ((post.status === 'published' || post.status === 'scheduled') && !hasPermission(req.user, 'posts:publish')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not allowed to edit a published post'
+      });
+    }
+
+    // Only moderators decide whether a post's comments are held for review
+    if (premoderateComments !== undefined && !hasPermission(req.user, 'comments:moderate')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to change comment moderation for this post'
+      });
+    }
+
+    let resolved = null;
+    if (status) {
+      resolved = resolveStatus(req.user, status, publishAt);
+      if (resolved.error) {
+        return res.status(403).json({
+          success: false,
+          message: resolved.error
+        });
+      }
+    }
+
+    // Posts created before revision tracking get their current state saved first
+    const hasHistory = await PostRevision.exists({ post: post._id });
+    if (!hasHistory) {
+      await PostRevision.record(post, post.author, PostRevision.TRACKED_FIELDS);
+    }
+    const before = snapshotTracked(post);
+
     // Update category if provided
     if (category) {
-      const categoryDoc = await Category.findOne({
-        $or: [
-          { _id: category },
-          { name: { $regex: new RegExp(`^${category}$`, 'i') } }
-        ]
-      });
+      const categoryDoc = await findCategory(category);
 
       if (!categoryDoc) {
         return res.status(400).json({
@@ -306,11 +850,26 @@ router.put('/:id', protect, isAuthor(Post), [
     if (excerpt !== undefined) post.excerpt = excerpt;
     if (tags !== undefined) post.tags = tags;
     if (featuredImage !== undefined) post.featuredImage = featuredImage;
-    if (status) post.status = status;
+    if (premoderateComments !== undefined) post.premoderateComments = premoderateComments;
+    if (resolved) {
+      post.status = resolved.status;
+      post.publishAt = resolved.publishAt;
+    }
+
+    // The slug stays put on title edits unless a new one is asked for
+    if (req.body.regenerateSlug) post.regenerateSlug();
+
+    await post.saveWithUniqueSlug();
+
+    // Record a revision if any tracked field changed
+    const after = snapshotTracked(post);
+    const changedFields = PostRevision.TRACKED_FIELDS.filter(field => before[field] !== after[field]);
+    if (changedFields.length > 0) {
+      await PostRevision.record(post, req.user.id, changedFields);
+    }
 
-    await post.save();
     await post.populate('author', 'name avatar');
-    await post.populate('category', 'name');
+    await post.populate('category', 'name slug');
 
     res.json({
       success: true,
@@ -319,6 +878,7 @@ router.put('/:id', protect, isAuthor(Post), [
         post: {
           id: post._id,
           title: post.title,
+          slug: post.slug,
           content: post.content,
           excerpt: post.excerpt,
           author: {
@@ -328,11 +888,14 @@ router.put('/:id', protect, isAuthor(Post), [
           },
           category: {
             id: post.category._id,
-            name: post.category.name
+            name: post.category.name,
+            slug: post.category.slug
           },
           tags: post.tags,
           featuredImage: post.featuredImage,
           status: post.status,
+          publishAt: post.publishAt,
+          premoderateComments: post.premoderateComments,
           updatedAt: post.updatedAt
         }
       }
@@ -348,15 +911,30 @@ router.put('/:id', protect, isAuthor(Post), [
 
 // @desc    Delete post
 // @route   DELETE /api/posts/:id
-// @access  Private (Author or Admin)
-router.delete('/:id', protect, isAuthor(Post), async (req, res) => {
+// @access  Private (Author or posts:delete:any)
+router.delete('/:id', protect, isAuthor(Post, 'posts:delete:any'), async (req, res) => {
   try {
     const post = req.resource;
-    await post.remove();
+    const deletedAt = new Date();
+
+    // The post's comments go with it, stamped with the same time so
+    // restoring the post brings back exactly these. Comments deleted
+    // earlier keep their own timestamp and stay deleted on restore.
+    await withTransaction(async (session) => {
+      await Comment.updateMany(
+        { post: post._id, deletedAt: null },
+        { deletedAt, deletedBy: req.user._id },
+        { session }
+      );
+      await post.softDelete(req.user._id, { at: deletedAt, session });
+    });
 
     res.json({
       success: true,
-      message: 'Post deleted successfully'
+      message: 'Post deleted successfully',
+      data: {
+        purgeAfterDays: getRetentionDays()
+      }
     });
   } catch (error) {
     console.error('Delete post error:', error);
@@ -367,12 +945,802 @@ router.delete('/:id', protect, isAuthor(Post), async (req, res) => {
   }
 });
 
+// @desc    Restore a deleted post and the comments deleted with it
+// @route   POST /api/posts/:id/restore
+// @access  Private (posts:delete:any)
+router.post('/:id/restore', protect, requirePermission('posts:delete:any'), async (req, res) => {
+  try {
+    const post = mongoose.isValidObjectId(req.params.id)
+      ? await Post.findOne({ _id: req.params.id, deletedAt: { $ne: null } })
+      : null;
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted post not found'
+      });
+    }
+
+    const result = await withTransaction(async (session) => {
+      const restored = await Comment.updateMany(
+        { post: post._id, deletedAt: post.deletedAt },
+        { deletedAt: null, deletedBy: null },
+        { session }
+      );
+      await post.restore({ session });
+      return restored;
+    });
+
+    res.json({
+      success: true,
+      message: 'Post restored successfully',
+      data: {
+        post: {
+          id: post._id,
+          title: post.title,
+          slug: post.slug,
+          status: post.status
+        },
+        commentsRestored: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    console.error('Restore post error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Submit post for review
+// @route   POST /api/posts/:id/submit
+// @access  Private (Author or posts:update:any)
+router.post('/:id/submit', protect, isAuthor(Post, 'posts:update:any'), [
+  body('publishAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('publishAt must be a valid date'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note cannot be more than 1000 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const post = req.resource;
+
+    if (post.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: `Only drafts can be submitted for review (post is ${post.status})`
+      });
+    }
+
+    if (req.body.publishAt !== undefined) {
+      post.publishAt = req.body.publishAt ? new Date(req.body.publishAt) : null;
+    }
+    post.status = 'in_review';
+    post.reviewNotes.push({
+      reviewer: req.user.id,
+      action: 'submitted',
+      note: req.body.note
+    });
+
+    await post.save();
+
+    res.json({
+      success: true,
+      message: 'Post submitted for review',
+      data: {
+        post: {
+          id: post._id,
+          status: post.status,
+          publishAt: post.publishAt
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Submit post error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Approve post under review
+// @route   POST /api/posts/:id/approve
+// @access  Private (posts:review)
+router.post('/:id/approve', protect, requirePermission('posts:review'), [
+  body('publishAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('publishAt must be a valid date'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note cannot be more than 1000 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const post = await Post.findById(req.params.id);
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    if (post.status !== 'in_review') {
+      return res.status(400).json({
+        success: false,
+        message: `Only posts in review can be approved (post is ${post.status})`
+      });
+    }
+
+    // The reviewer may override the publish date the author asked for
+    if (req.body.publishAt !== undefined) {
+      post.publishAt = req.body.publishAt ? new Date(req.body.publishAt) : null;
+    }
+
+    if (post.publishAt && post.publishAt > new Date()) {
+      post.status = 'scheduled';
+    } else {
+      post.status = 'published';
+      post.publishAt = null;
+    }
+
+    post.reviewNotes.push({
+      reviewer: req.user.id,
+      action: 'approved',
+      note: req.body.note
+    });
+
+    await post.save();
+
+    res.json({
+      success: true,
+      message: post.status === 'scheduled' ? 'Post approved and scheduled' : 'Post approved and published',
+      data: {
+        post: {
+          id: post._id,
+          status: post.status,
+          publishAt: post.publishAt,
+          publishedAt: post.publishedAt
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Approve post error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Reject post under review, sending it back to draft
+// @route   POST /api/posts/:id/reject
+// @access  Private (posts:review)
+router.post('/:id/reject', protect, requirePermission('posts:review'), [
+  body('note')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('A note between 1 and 1000 characters explaining the rejection is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const post = await Post.findById(req.params.id);
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    if (post.status !== 'in_review') {
+      return res.status(400).json({
+        success: false,
+        message: `Only posts in review can be rejected (post is ${post.status})`
+      });
+    }
+
+    post.status = 'draft';
+    post.reviewNotes.push({
+      reviewer: req.user.id,
+      action: 'rejected',
+      note: req.body.note
+    });
+
+    await post.save();
+
+    res.json({
+      success: true,
+      message: 'Post rejected and returned to draft',
+      data: {
+        post: {
+          id: post._id,
+          status: post.status,
+          reviewNotes: post.reviewNotes
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Reject post error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get reaction counts for a post
+// @route   GET /api/posts/:id/reactions
+// @access  Public
+router.get('/:id/reactions', optionalAuth, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id);
+    if (!post || !post.isVisible()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    const mine = req.user
+      ? await PostReaction.find({ post: post._id, user: req.user._id }).distinct('type')
+      : [];
+
+    res.json({
+      success: true,
+      data: {
+        types: PostReaction.TYPES,
+        reactions: post.reactionCounts,
+        myReactions: mine
+      }
+    });
+  } catch (error) {
+    console.error('Get reactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Add/Remove a reaction on a post
+// @route   POST /api/posts/:id/reactions
+// @access  Private
+router.post('/:id/reactions', protect, [
+  body('type')
+    .isIn(Object.keys(PostReaction.TYPES))
+    .withMessage(`Reaction type must be one of: ${Object.keys(PostReaction.TYPES).join(', ')}`)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { type } = req.body;
+
+    const post = await Post.findById(req.params.id);
+    if (!post || !post.isVisible()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    const removed = await PostReaction.findOneAndDelete({ post: post._id, user: req.user._id, type });
+
+    let added = false;
+    if (!removed) {
+      try {
+        await PostReaction.create({ post: post._id, user: req.user._id, type });
+        added = true;
+      } catch (err) {
+        // A concurrent request already added it, so it's still present
+        if (err.code !== 11000) {
+          throw err;
+        }
+      }
+    }
+    const present = !removed;
+
+    const updated = added || removed
+      ? await Post.findByIdAndUpdate(
+        post._id,
+        { $inc: { [`reactionCounts.${type}`]: added ? 1 : -1 } },
+        { new: true }
+      )
+      : post;
+
+    res.json({
+      success: true,
+      message: `Reaction ${present ? 'added' : 'removed'} successfully`,
+      data: {
+        type,
+        reacted: present,
+        reactions: updated.reactionCounts
+      }
+    });
+  } catch (error) {
+    console.error('React to post error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Bookmark/Unbookmark a post
+// @route   POST /api/posts/:id/bookmark
+// @access  Private
+router.post('/:id/bookmark', protect, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id);
+    if (!post || !post.isVisible()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    const removed = await Bookmark.findOneAndDelete({ post: post._id, user: req.user._id });
+
+    let added = false;
+    if (!removed) {
+      try {
+        await Bookmark.create({ post: post._id, user: req.user._id });
+        added = true;
+      } catch (err) {
+        // A concurrent request already added it, so it's still present
+        if (err.code !== 11000) {
+          throw err;
+        }
+      }
+    }
+    const present = !removed;
+
+    const updated = added || removed
+      ? await Post.findByIdAndUpdate(
+        post._id,
+        { $inc: { bookmarksCount: added ? 1 : -1 } },
+        { new: true }
+      )
+      : post;
+
+    res.json({
+      success: true,
+      message: `Post ${present ? 'bookmarked' : 'removed from bookmarks'} successfully`,
+      data: {
+        isBookmarked: present,
+        bookmarksCount: updated.bookmarksCount
+      }
+    });
+  } catch (error) {
+    console.error('Bookmark post error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Report a post
+// @route   POST /api/posts/:id/report
+// @access  Private
+router.post('/:id/report', protect, [
+  body('reason')
+    .isIn(Object.keys(Report.REASONS))
+    .withMessage(`Reason must be one of: ${Object.keys(Report.REASONS).join(', ')}`),
+  body('details')
+    .if(body('reason').equals('other'))
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Please describe the problem when choosing other'),
+  body('details')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Details cannot be more than 1000 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const post = await Post.findById(req.params.id);
+    if (!post || !post.isVisible()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    if (post.author.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report your own post'
+      });
+    }
+
+    const report = await fileReport({
+      reporter: req.user,
+      targetType: 'post',
+      target: post,
+      reason: req.body.reason,
+      details: req.body.details
+    });
+
+    if (!report) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reported this post'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Thanks for your report. A moderator will review it',
+      data: {
+        report: {
+          id: report._id,
+          reason: report.reason,
+          status: report.status,
+          createdAt: report.createdAt
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Report post error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get a post's comments as a nested tree
+// @route   GET /api/posts/:id/comments/tree
+// @access  Public
+router.get('/:id/comments/tree', async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id);
+    if (!post || !post.isVisible()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    const pagination = parsePagination(req);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
+
+    const sortName = req.query.sort || 'newest';
+    const sort = COMMENT_SORTS[sortName];
+    if (!sort) {
+      return res.status(400).json({
+        success: false,
+        message: `Sort must be one of: ${Object.keys(COMMENT_SORTS).join(', ')}`
+      });
+    }
+
+    // Levels to return, counting the first; capped at the deepest nesting allowed
+    const maxLevels = getMaxDepth() + 1;
+    const levels = Math.min(Math.max(parseInt(req.query.depth, 10) || 3, 1), maxLevels);
+    const repliesLimit = Math.min(Math.max(parseInt(req.query.replies, 10) || 3, 1), 50);
+
+    // ?parent=<id> pages through one comment's replies ("load more replies")
+    let parent = null;
+    let depth = 0;
+    if (req.query.parent) {
+      parent = mongoose.isValidObjectId(req.query.parent)
+        ? await Comment.findOne({ _id: req.query.parent, post: post._id, isApproved: true })
+          .setOptions({ withDeleted: true })
+        : null;
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent comment not found'
+        });
+      }
+      depth = await Comment.getDepth(parent) + 1;
+    }
+
+    const { items: comments, pagination: paginationResult } = await paginate(req, res, pagination, {
+      model: Comment,
+      filter: {
+        post: post._id,
+        parentComment: parent ? parent._id : null,
+        isApproved: true,
+        ...Comment.threadFilter()
+      },
+      sort,
+      build: query => query.populate('author', 'name avatar'),
+      options: { withDeleted: true }
+    });
+
+    const tree = await buildTree(comments, { depth, levels: levels - 1, repliesLimit, sort });
+
+    res.json({
+      success: true,
+      count: tree.length,
+      pagination: paginationResult,
+      data: {
+        parent: parent ? parent._id : null,
+        sort: sortName,
+        maxDepth: getMaxDepth(),
+        comments: tree
+      }
+    });
+  } catch (error) {
+    console.error('Get comment tree error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get view statistics for a post
+// @route   GET /api/posts/:id/stats
+// @access  Private (Author or analytics:read)
+router.get('/:id/stats', protect, isAuthor(Post, 'analytics:read'), async (req, res) => {
+  try {
+    const days = parseInt(req.query.days, 10) || 30;
+    const maxDays = parseInt(process.env.VIEW_EVENT_RETENTION_DAYS, 10) || 90;
+
+    if (days < 1 || days > maxDays) {
+      return res.status(400).json({
+        success: false,
+        message: `Days must be between 1 and ${maxDays}`
+      });
+    }
+
+    const stats = await getPostStats(req.resource, days);
+
+    res.json({
+      success: true,
+      data: {
+        post: {
+          id: req.resource._id,
+          title: req.resource.title
+        },
+        days,
+        stats
+      }
+    });
+  } catch (error) {
+    console.error('Get post stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get revision history for a post
+// @route   GET /api/posts/:id/revisions
+// @access  Private (Author or posts:update:any)
+router.get('/:id/revisions', protect, isAuthor(Post, 'posts:update:any'), async (req, res) => {
+  try {
+    const pagination = parsePagination(req, { defaultLimit: 20 });
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
+
+    const { items: revisions, pagination: paginationResult } = await paginate(req, res, pagination, {
+      model: PostRevision,
+      filter: { post: req.resource._id },
+      sort: { field: 'revision', direction: -1 },
+      build: query => query
+        .populate('author', 'name avatar')
+        .select('-content')
+    });
+
+    res.json({
+      success: true,
+      count: revisions.length,
+      pagination: paginationResult,
+      data: {
+        revisions: revisions.map(revision => ({
+          revision: revision.revision,
+          title: revision.title,
+          author: revision.author ? {
+            id: revision.author._id,
+            name: revision.author.name,
+            avatar: revision.author.avatar
+          } : null,
+          changedFields: revision.changedFields,
+          restoredFrom: revision.restoredFrom,
+          createdAt: revision.createdAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Diff a revision against the current post
+// @route   GET /api/posts/:id/revisions/:rev/diff
+// @access  Private (Author or posts:update:any)
+router.get('/:id/revisions/:rev/diff', protect, isAuthor(Post, 'posts:update:any'), async (req, res) => {
+  try {
+    const post = req.resource;
+    const revision = await PostRevision.findOne({
+      post: post._id,
+      revision: parseInt(req.params.rev, 10)
+    });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const contentDiff = diffLines(revision.content, post.content);
+    const currentTags = post.tags || [];
+    const revisionTags = revision.tags || [];
+
+    res.json({
+      success: true,
+      data: {
+        revision: revision.revision,
+        createdAt: revision.createdAt,
+        diff: {
+          title: diffLines(revision.title, post.title),
+          excerpt: diffLines(revision.excerpt, post.excerpt),
+          content: contentDiff,
+          tags: {
+            added: currentTags.filter(tag => !revisionTags.includes(tag)),
+            removed: revisionTags.filter(tag => !currentTags.includes(tag))
+          },
+          category: {
+            from: revision.category,
+            to: post.category,
+            changed: String(revision.category) !== String(post.category)
+          }
+        },
+        summary: summarizeDiff(contentDiff)
+      }
+    });
+  } catch (error) {
+    console.error('Diff revision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Restore a post to an earlier revision
+// @route   POST /api/posts/:id/revisions/:rev/restore
+// @access  Private (Author or posts:update:any)
+router.post('/:id/revisions/:rev/restore', protect, isAuthor(Post, 'posts:update:any'), async (req, res) => {
+  try {
+    const post = req.resource;
+    const revision = await PostRevision.findOne({
+      post: post._id,
+      revision: parseInt(req.params.rev, 10)
+    });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const before = snapshotTracked(post);
+
+    post.title = revision.title;
+    post.content = revision.content;
+    post.excerpt = revision.excerpt;
+    post.tags = revision.tags;
+
+    // Only move back to the old category if it still exists
+    if (revision.category && await Category.exists({ _id: revision.category })) {
+      post.category = revision.category;
+    }
+
+    await post.save();
+
+    const after = snapshotTracked(post);
+    const changedFields = PostRevision.TRACKED_FIELDS.filter(field => before[field] !== after[field]);
+    if (changedFields.length > 0) {
+      await PostRevision.record(post, req.user.id, changedFields, revision.revision);
+    }
+
+    res.json({
+      success: true,
+      message: `Post restored to revision ${revision.revision}`,
+      data: {
+        post: {
+          id: post._id,
+          title: post.title,
+          slug: post.slug,
+          content: post.content,
+          excerpt: post.excerpt,
+          tags: post.tags,
+          category: post.category,
+          updatedAt: post.updatedAt
+        },
+        changedFields
+      }
+    });
+  } catch (error) {
+    console.error('Restore revision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Get posts by category
 // @route   GET /api/posts/category/:categoryId
 // @access  Public
 router.get('/category/:categoryId', async (req, res) => {
   try {
-    const category = await Category.findById(req.params.categoryId);
+    const resolved = await Category.resolveSlugOrId(req.params.categoryId);
+
+    // Old slugs redirect to the category's current URL
+    if (resolved && resolved.redirected) {
+      return res.redirect(301, `${req.baseUrl}/category/${resolved.slug}`);
+    }
+
+    const category = resolved && await Category.findById(resolved._id);
     if (!category) {
       return res.status(404).json({
         success: false,
@@ -380,50 +1748,49 @@ router.get('/category/:categoryId', async (req, res) => {
       });
     }
 
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 10;
-    const startIndex = (page - 1) * limit;
-
-    const posts = await Post.find({ 
-      category: req.params.categoryId,
-      status: 'published'
-    })
-      .populate('author', 'name avatar')
-      .populate('category', 'name')
-      .populate({
-        path: 'comments',
-        match: { isApproved: true },
-        populate: {
-          path: 'author',
-          select: 'name avatar'
-        }
-      })
-      .skip(startIndex)
-      .limit(limit)
-      .sort({ createdAt: -1 });
+    const pagination = parsePagination(req);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
 
-    const total = await Post.countDocuments({ 
-      category: req.params.categoryId,
-      status: 'published'
+    const { items: posts, pagination: paginationResult } = await paginate(req, res, pagination, {
+      model: Post,
+      filter: {
+        category: category._id,
+        ...Post.visibleFilter()
+      },
+      sort: { field: 'createdAt', direction: -1 },
+      build: query => query
+        .populate('author', 'name avatar')
+        .populate('category', 'name slug')
+        .populate({
+          path: 'comments',
+          match: { isApproved: true },
+          populate: {
+            path: 'author',
+            select: 'name avatar'
+          }
+        })
     });
 
     res.json({
       success: true,
       count: posts.length,
-      pagination: {
-        current: page,
-        pages: Math.ceil(total / limit),
-        total
-      },
+      pagination: paginationResult,
       data: {
         category: {
           id: category._id,
           name: category.name,
+          slug: category.slug,
           description: category.description
         },
         posts: posts.map(post => ({
           id: post._id,
           title: post.title,
+          slug: post.slug,
           content: post.content,
           excerpt: post.excerpt,
           author: {
@@ -433,13 +1800,16 @@ router.get('/category/:categoryId', async (req, res) => {
           },
           category: {
             id: post.category._id,
-            name: post.category.name
+            name: post.category.name,
+            slug: post.category.slug
           },
           tags: post.tags,
           featuredImage: post.featuredImage,
           viewCount: post.viewCount,
           isFeatured: post.isFeatured,
           commentsCount: post.comments ? post.comments.length : 0,
+          reactions: post.reactionCounts,
+          bookmarksCount: post.bookmarksCount,
           createdAt: post.createdAt
         }))
       }
@@ -453,91 +1823,4 @@ router.get('/category/:categoryId', async (req, res) => {
   }
 });
 
-// @desc    Get trending posts (top 5 with most comments)
-// @route   GET /api/posts/trending
-// @access  Public
-router.get('/trending', async (req, res) => {
-  try {
-    const trendingPosts = await Post.aggregate([
-      {
-        $match: { status: 'published' }
-      },
-      {
-        $lookup: {
-          from: 'comments',
-          localField: '_id',
-          foreignField: 'post',
-          as: 'comments'
-        }
-      },
-      {
-        $lookup: {
-          from: 'users',
-          localField: 'author',
-          foreignField: '_id',
-          as: 'author'
-        }
-      },
-      {
-        $lookup: {
-          from: 'categories',
-          localField: 'category',
-          foreignField: '_id',
-          as: 'category'
-        }
-      },
-      {
-        $addFields: {
-          commentsCount: { $size: '$comments' },
-          author: { $arrayElemAt: ['$author', 0] },
-          category: { $arrayElemAt: ['$category', 0] }
-        }
-      },
-      {
-        $sort: { commentsCount: -1, viewCount: -1 }
-      },
-      {
-        $limit: 5
-      },
-      {
-        $project: {
-          id: '$_id',
-          title: 1,
-          content: 1,
-          excerpt: 1,
-          author: {
-            id: '$author._id',
-            name: '$author.name',
-            avatar: '$author.avatar'
-          },
-          category: {
-            id: '$category._id',
-            name: '$category.name'
-          },
-          tags: 1,
-          featuredImage: 1,
-          viewCount: 1,
-          isFeatured: 1,
-          commentsCount: 1,
-          createdAt: 1
-        }
-      }
-    ]);
-
-    res.json({
-      success: true,
-      count: trendingPosts.length,
-      data: {
-        posts: trendingPosts
-      }
-    });
-  } catch (error) {
-    console.error('Get trending posts error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
-  }
-});
-
 module.exports = router; 
\ No newline at end of file
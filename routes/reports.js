@@ -0,0 +1,236 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Report = require('../models/Report');
+const { protect, requirePermission } = require('../middleware/auth');
+const { parsePagination, paginate } = require('../utils/pagination');
+const { getHideThreshold, reviewReports } = require('../utils/reports');
+
+const router = express.Router();
+
+router.use(protect, requirePermission('reports:manage'));
+
+const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+
+// Short description of reported content for reviewers
+const describeTarget = (report) => {
+  const target = report.target;
+  if (!target) {
+    return null;
+  }
+
+  return report.targetType === 'post'
+    ? { id: target._id, title: target.title, slug: target.slug, status: target.status, hiddenAt: target.hiddenAt }
+    : { id: target._id, text: target.text, post: target.post, moderationStatus: target.moderationStatus };
+};
+
+const formatReport = (report) => ({
+  id: report._id,
+  targetType: report.targetType,
+  target: describeTarget(report),
+  reason: report.reason,
+  details: report.details,
+  status: report.status,
+  triggeredHide: report.triggeredHide,
+  reporter: report.reporter ? {
+    id: report.reporter._id,
+    name: report.reporter.name
+  } : null,
+  reviewedBy: report.reviewedBy ? {
+    id: report.reviewedBy._id,
+    name: report.reviewedBy.name
+  } : null,
+  reviewedAt: report.reviewedAt,
+  reviewNote: report.reviewNote,
+  createdAt: report.createdAt
+});
+
+const populateReport = query => query
+  .populate('reporter', 'name')
+  .populate('reviewedBy', 'name')
+  .populate('target', 'title slug status hiddenAt text post moderationStatus');
+
+// @desc    Get reports, oldest open reports first by default
+// @route   GET /api/reports
+// @access  Private (reports:manage)
+router.get('/', [
+  query('status')
+    .optional()
+    .isIn([...REPORT_STATUSES, 'all'])
+    .withMessage(`Status must be one of: ${REPORT_STATUSES.join(', ')}, all`),
+  query('targetType')
+    .optional()
+    .isIn(Object.keys(Report.TARGETS))
+    .withMessage(`targetType must be one of: ${Object.keys(Report.TARGETS).join(', ')}`),
+  query('reason')
+    .optional()
+    .isIn(Object.keys(Report.REASONS))
+    .withMessage(`Reason must be one of: ${Object.keys(Report.REASONS).join(', ')}`),
+  query('target')
+    .optional()
+    .isMongoId()
+    .withMessage('Target must be a valid id')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const pagination = parsePagination(req);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
+
+    const status = req.query.status || 'open';
+    const filter = {};
+    if (status !== 'all') filter.status = status;
+    if (req.query.targetType) filter.targetType = req.query.targetType;
+    if (req.query.reason) filter.reason = req.query.reason;
+    if (req.query.target) filter.target = req.query.target;
+
+    const { items: reports, pagination: paginationResult } = await paginate(req, res, pagination, {
+      model: Report,
+      filter,
+      sort: { field: 'createdAt', direction: status === 'open' ? 1 : -1 },
+      build: populateReport
+    });
+
+    res.json({
+      success: true,
+      count: reports.length,
+      pagination: paginationResult,
+      data: {
+        hideThreshold: getHideThreshold(),
+        reports: reports.map(formatReport)
+      }
+    });
+  } catch (error) {
+    console.error('Get reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get a report with every report on the same content
+// @route   GET /api/reports/:id
+// @access  Private (reports:manage)
+router.get('/:id', async (req, res) => {
+  try {
+    const report = await populateReport(Report.findById(req.params.id));
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    const related = await Report.find({
+      targetType: report.targetType,
+      target: report.populated('target') || report.target,
+      _id: { $ne: report._id }
+    })
+      .populate('reporter', 'name')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        report: formatReport(report),
+        relatedReports: related.map(other => ({
+          id: other._id,
+          reason: other.reason,
+          details: other.details,
+          status: other.status,
+          reporter: other.reporter ? {
+            id: other.reporter._id,
+            name: other.reporter.name
+          } : null,
+          createdAt: other.createdAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Resolve or dismiss every open report on the reported content
+const reviewHandler = (status) => async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const report = await Report.findById(req.params.id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    if (report.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: `Report has already been ${report.status}`
+      });
+    }
+
+    const closed = await reviewReports(report, status, req.user, req.body.note);
+
+    res.json({
+      success: true,
+      message: `${closed} report${closed === 1 ? '' : 's'} ${status}`,
+      data: {
+        targetType: report.targetType,
+        target: report.target,
+        status,
+        reportsClosed: closed
+      }
+    });
+  } catch (error) {
+    console.error(`Review report (${status}) error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+const noteValidation = [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note cannot be more than 1000 characters')
+];
+
+// @desc    Uphold a report and take the content down
+// @route   PATCH /api/reports/:id/resolve
+// @access  Private (reports:manage)
+router.patch('/:id/resolve', noteValidation, reviewHandler('resolved'));
+
+// @desc    Dismiss a report and restore the content if it was hidden
+// @route   PATCH /api/reports/:id/dismiss
+// @access  Private (reports:manage)
+router.patch('/:id/dismiss', noteValidation, reviewHandler('dismissed'));
+
+module.exports = router;
@@ -0,0 +1,295 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { protect, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, SUPERUSER_PERMISSION, expandPermissions } = require('../utils/permissions');
+
+const router = express.Router();
+
+const ASSIGNABLE_PERMISSIONS = [...PERMISSIONS, SUPERUSER_PERMISSION];
+
+// All role management requires roles:manage
+router.use(protect, requirePermission('roles:manage'));
+
+const formatRole = (role) => ({
+  id: role._id,
+  name: role.name,
+  description: role.description,
+  permissions: role.permissions,
+  effectivePermissions: expandPermissions(role.permissions),
+  isSystem: role.isSystem,
+  createdAt: role.createdAt,
+  updatedAt: role.updatedAt
+});
+
+// @desc    Get permission vocabulary
+// @route   GET /api/roles/permissions
+// @access  Private (roles:manage)
+router.get('/permissions', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      permissions: ASSIGNABLE_PERMISSIONS
+    }
+  });
+});
+
+// @desc    Get all roles
+// @route   GET /api/roles
+// @access  Private (roles:manage)
+router.get('/', async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: roles.length,
+      data: {
+        roles: roles.map(formatRole)
+      }
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get single role
+// @route   GET /api/roles/:id
+// @access  Private (roles:manage)
+router.get('/:id', async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    const usersCount = await User.countDocuments({ role: role._id });
+
+    res.json({
+      success: true,
+      data: {
+        role: {
+          ...formatRole(role),
+          usersCount
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Create new role
+// @route   POST /api/roles
+// @access  Private (roles:manage)
+router.post('/', [
+  body('name')
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z][a-z0-9_-]{1,29}$/)
+    .withMessage('Role name must be 2-30 characters of letters, numbers, dashes and underscores'),
+  body('description')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Description must be between 1 and 200 characters'),
+  body('permissions')
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  body('permissions.*')
+    .isIn(ASSIGNABLE_PERMISSIONS)
+    .withMessage('Unknown permission')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, permissions } = req.body;
+
+    // Check if role already exists
+    const existingRole = await Role.findOne({ name });
+    if (existingRole) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role with this name already exists'
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions: [...new Set(permissions)]
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: {
+        role: formatRole(role)
+      }
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Update role
+// @route   PUT /api/roles/:id
+// @access  Private (roles:manage)
+router.put('/:id', [
+  body('name')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z][a-z0-9_-]{1,29}$/)
+    .withMessage('Role name must be 2-30 characters of letters, numbers, dashes and underscores'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Description must be between 1 and 200 characters'),
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  body('permissions.*')
+    .isIn(ASSIGNABLE_PERMISSIONS)
+    .withMessage('Unknown permission')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, permissions } = req.body;
+
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    // Built-in roles are looked up by name elsewhere
+    if (role.isSystem && name && name !== role.name) {
+      return res.status(400).json({
+        success: false,
+        message: 'System roles cannot be renamed'
+      });
+    }
+
+    // Don't let an admin strip role management from their own role
+    if (permissions && role._id.equals(req.user.role._id)) {
+      const remaining = expandPermissions(permissions);
+      if (!remaining.includes('roles:manage')) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot remove roles:manage from your own role'
+        });
+      }
+    }
+
+    // Check if new name conflicts with existing role
+    if (name && name !== role.name) {
+      const existingRole = await Role.findOne({ name, _id: { $ne: role._id } });
+      if (existingRole) {
+        return res.status(400).json({
+          success: false,
+          message: 'Role with this name already exists'
+        });
+      }
+      role.name = name;
+    }
+
+    if (description !== undefined) role.description = description;
+    if (permissions) role.permissions = [...new Set(permissions)];
+
+    await role.save();
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: {
+        role: formatRole(role)
+      }
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Delete role
+// @route   DELETE /api/roles/:id
+// @access  Private (roles:manage)
+router.delete('/:id', async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: 'System roles cannot be deleted'
+      });
+    }
+
+    const usersCount = await User.countDocuments({ role: role._id });
+    if (usersCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Role is assigned to ${usersCount} user(s); reassign them first`
+      });
+    }
+
+    await role.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
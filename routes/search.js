@@ -0,0 +1,244 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const Tag = require('../models/Tag');
+const { extractTerms, highlight, buildSnippet } = require('../utils/highlight');
+const { parsePagination, pageResult } = require('../utils/pagination');
+
+const router = express.Router();
+
+const FACET_LIMIT = 10;
+
+// @desc    Full-text search over published posts
+// @route   GET /api/search
+// @access  Public
+router.get('/', [
+  query('q')
+    .isString()
+    .withMessage('Search query must be a single value')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Search query must be between 1 and 200 characters'),
+  query(['category', 'tag'])
+    .optional()
+    .isString()
+    .withMessage((value, { path }) => `${path} must be a single value`),
+  query('author')
+    .optional()
+    .isMongoId()
+    .withMessage('Author must be a valid id')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const pagination = parsePagination(req, { maxLimit: 50 });
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
+
+    // Relevance scores can't be used as cursors
+    if (pagination.mode === 'cursor') {
+      return res.status(400).json({
+        success: false,
+        message: 'Search results are only available with page-number pagination'
+      });
+    }
+
+    // $text has to be part of the first $match stage
+    const match = {
+      $text: { $search: req.query.q },
+      ...Post.visibleFilter()
+    };
+
+    if (req.query.category) {
+      const category = await Category.resolveSlugOrId(req.query.category);
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          message: 'Category not found'
+        });
+      }
+      match.category = category._id;
+    }
+
+    if (req.query.tag) {
+      const [tag] = await Tag.canonicalize([req.query.tag]);
+      if (tag) {
+        match.tags = tag;
+      }
+    }
+
+    if (req.query.author) {
+      match.author = new mongoose.Types.ObjectId(req.query.author);
+    }
+
+    const [result] = await Post.aggregate([
+      { $match: match },
+      // Leave the post body behind so the facets don't carry it for every
+      // match; the current page's bodies are loaded separately below
+      {
+        $project: {
+          title: 1,
+          slug: 1,
+          excerpt: 1,
+          author: 1,
+          category: 1,
+          tags: 1,
+          createdAt: 1,
+          score: { $meta: 'textScore' }
+        }
+      },
+      {
+        $facet: {
+          results: [
+            { $sort: { score: -1, createdAt: -1 } },
+            { $skip: pagination.skip },
+            { $limit: pagination.limit },
+            {
+              $lookup: {
+                from: 'users',
+                localField: 'author',
+                foreignField: '_id',
+                as: 'author'
+              }
+            },
+            {
+              $lookup: {
+                from: 'categories',
+                localField: 'category',
+                foreignField: '_id',
+                as: 'category'
+              }
+            },
+            {
+              $addFields: {
+                author: { $arrayElemAt: ['$author', 0] },
+                category: { $arrayElemAt: ['$category', 0] }
+              }
+            }
+          ],
+          total: [
+            { $count: 'count' }
+          ],
+          categories: [
+            { $group: { _id: '$category', count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: FACET_LIMIT },
+            {
+              $lookup: {
+                from: 'categories',
+                localField: '_id',
+                foreignField: '_id',
+                as: 'category'
+              }
+            },
+            { $unwind: '$category' },
+            {
+              $project: {
+                _id: 0,
+                id: '$_id',
+                name: '$category.name',
+                slug: '$category.slug',
+                count: 1
+              }
+            }
+          ],
+          tags: [
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: FACET_LIMIT },
+            { $project: { _id: 0, tag: '$_id', count: 1 } }
+          ],
+          authors: [
+            { $group: { _id: '$author', count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: FACET_LIMIT },
+            {
+              $lookup: {
+                from: 'users',
+                localField: '_id',
+                foreignField: '_id',
+                as: 'author'
+              }
+            },
+            { $unwind: '$author' },
+            {
+              $project: {
+                _id: 0,
+                id: '$_id',
+                name: '$author.name',
+                count: 1
+              }
+            }
+          ]
+        }
+      }
+    ]);
+
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+    const terms = extractTerms(req.query.q);
+
+    const bodies = await Post.find({ _id: { $in: result.results.map(post => post._id) } }).select('content');
+    const contentById = new Map(bodies.map(post => [String(post._id), post.content]));
+
+    res.json({
+      success: true,
+      count: result.results.length,
+      pagination: pageResult(req, res, pagination, total),
+      data: {
+        query: req.query.q,
+        posts: result.results.map(post => ({
+          id: post._id,
+          title: post.title,
+          slug: post.slug,
+          excerpt: post.excerpt,
+          score: post.score,
+          highlights: {
+            title: highlight(post.title, terms),
+            excerpt: highlight(post.excerpt, terms),
+            content: buildSnippet(contentById.get(String(post._id)), terms)
+          },
+          author: post.author ? {
+            id: post.author._id,
+            name: post.author.name,
+            avatar: post.author.avatar
+          } : null,
+          category: post.category ? {
+            id: post.category._id,
+            name: post.category.name,
+            slug: post.category.slug
+          } : null,
+          tags: post.tags,
+          createdAt: post.createdAt
+        })),
+        facets: {
+          categories: result.categories,
+          tags: result.tags,
+          authors: result.authors
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,423 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Series = require('../models/Series');
+const Post = require('../models/Post');
+const { protect, optionalAuth, requirePermission, isAuthor } = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
+const { parsePagination, paginate } = require('../utils/pagination');
+const { checkSeriesPosts, isSeriesPostConflict } = require('../utils/series');
+
+const router = express.Router();
+
+// The series' posts in order. Readers only see visible posts; the author
+// and editors also see drafts and other unpublished parts.
+const getParts = async (series, user) => {
+  const authorId = series.author._id || series.author;
+  const canSeeAll = user && (authorId.equals(user._id) || hasPermission(user, 'posts:update:any'));
+
+  const filter = canSeeAll
+    ? { _id: { $in: series.posts } }
+    : { _id: { $in: series.posts }, ...Post.visibleFilter() };
+  const posts = await Post.find(filter).select('title slug excerpt status publishedAt');
+  const byId = new Map(posts.map(post => [String(post._id), post]));
+
+  return series.posts
+    .filter(id => byId.has(String(id)))
+    .map((id, index) => {
+      const post = byId.get(String(id));
+      return {
+        position: index + 1,
+        id: post._id,
+        title: post.title,
+        slug: post.slug,
+        excerpt: post.excerpt,
+        status: canSeeAll ? post.status : undefined,
+        publishedAt: post.publishedAt
+      };
+    });
+};
+
+const sendSeries = async (res, series, user, { status = 200, message } = {}) => {
+  await series.populate('author', 'name avatar');
+  const posts = await getParts(series, user);
+
+  res.status(status).json({
+    success: true,
+    message,
+    data: {
+      series: {
+        id: series._id,
+        title: series.title,
+        slug: series.slug,
+        description: series.description,
+        author: {
+          id: series.author._id,
+          name: series.author.name,
+          avatar: series.author.avatar
+        },
+        postsCount: posts.length,
+        posts,
+        createdAt: series.createdAt,
+        updatedAt: series.updatedAt
+      }
+    }
+  });
+};
+
+// @desc    Get series, newest first
+// @route   GET /api/series?author=<id>
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const pagination = parsePagination(req);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
+
+    const filter = {};
+    if (req.query.author) {
+      if (!mongoose.isValidObjectId(req.query.author)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Author must be a valid id'
+        });
+      }
+      filter.author = req.query.author;
+    }
+
+    const { items: series, pagination: paginationResult } = await paginate(req, res, pagination, {
+      model: Series,
+      filter,
+      sort: { field: 'createdAt', direction: -1 },
+      build: query => query.populate('author', 'name avatar')
+    });
+
+    // Only count parts readers can actually see
+    const postIds = series.flatMap(item => item.posts);
+    const visibleIds = new Set((await Post.find({ _id: { $in: postIds }, ...Post.visibleFilter() }).distinct('_id'))
+      .map(String));
+
+    res.json({
+      success: true,
+      count: series.length,
+      pagination: paginationResult,
+      data: {
+        series: series.map(item => ({
+          id: item._id,
+          title: item.title,
+          slug: item.slug,
+          description: item.description,
+          author: {
+            id: item.author._id,
+            name: item.author.name,
+            avatar: item.author.avatar
+          },
+          postsCount: item.posts.filter(id => visibleIds.has(String(id))).length,
+          createdAt: item.createdAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get a single series with its posts in order
+// @route   GET /api/series/:id
+// @access  Public
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const resolved = await Series.resolveSlugOrId(req.params.id);
+
+    // Old slugs redirect to the series' current URL
+    if (resolved && resolved.redirected) {
+      return res.redirect(301, `${req.baseUrl}/${resolved.slug}`);
+    }
+
+    const series = resolved && await Series.findById(resolved._id);
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    await sendSeries(res, series, req.user);
+  } catch (error) {
+    console.error('Get single series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Create a series
+// @route   POST /api/series
+// @access  Private (posts:create)
+router.post('/', protect, requirePermission('posts:create'), [
+  body('title')
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Title must be between 3 and 100 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+  body('posts')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('Posts must be an array of at most 100 post ids')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const series = new Series({
+      title: req.body.title,
+      description: req.body.description,
+      author: req.user._id
+    });
+
+    if (req.body.posts && req.body.posts.length > 0) {
+      const result = await checkSeriesPosts(req.body.posts, req.user, series);
+      if (result.message) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.message
+        });
+      }
+      series.posts = result.postIds;
+    }
+
+    await series.saveWithUniqueSlug();
+
+    await sendSeries(res, series, req.user, { status: 201, message: 'Series created successfully' });
+  } catch (error) {
+    if (isSeriesPostConflict(error)) {
+      return res.status(409).json({
+        success: false,
+        message: 'A post is already part of another series'
+      });
+    }
+    console.error('Create series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Update a series
+// @route   PUT /api/series/:id
+// @access  Private (author or posts:update:any)
+router.put('/:id', protect, isAuthor(Series, 'posts:update:any'), [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Title must be between 3 and 100 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+  body('regenerateSlug')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('regenerateSlug must be true or false')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const series = req.resource;
+    if (req.body.title) series.title = req.body.title;
+    if (req.body.description !== undefined) series.description = req.body.description;
+
+    // The slug stays put on title edits unless a new one is asked for
+    if (req.body.regenerateSlug) series.regenerateSlug();
+
+    await series.saveWithUniqueSlug();
+
+    await sendSeries(res, series, req.user, { message: 'Series updated successfully' });
+  } catch (error) {
+    console.error('Update series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Delete a series (its posts are kept)
+// @route   DELETE /api/series/:id
+// @access  Private (author or posts:update:any)
+router.delete('/:id', protect, isAuthor(Series, 'posts:update:any'), async (req, res) => {
+  try {
+    await req.resource.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Series deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Add a post to a series, at the end or at a 1-based position
+// @route   POST /api/series/:id/posts
+// @access  Private (author or posts:update:any)
+router.post('/:id/posts', protect, isAuthor(Series, 'posts:update:any'), [
+  body('post')
+    .isMongoId()
+    .withMessage('Post must be a valid id'),
+  body('position')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Position must be a positive integer')
+    .toInt()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const series = req.resource;
+    if (series.posts.some(id => id.equals(req.body.post))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Post is already in this series'
+      });
+    }
+
+    const result = await checkSeriesPosts([req.body.post], req.user, series);
+    if (result.message) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    const index = req.body.position
+      ? Math.min(req.body.position - 1, series.posts.length)
+      : series.posts.length;
+    series.posts.splice(index, 0, result.postIds[0]);
+
+    await series.save();
+
+    await sendSeries(res, series, req.user, { message: 'Post added to series' });
+  } catch (error) {
+    if (isSeriesPostConflict(error)) {
+      return res.status(409).json({
+        success: false,
+        message: 'A post is already part of another series'
+      });
+    }
+    console.error('Add series post error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Reorder the posts in a series
+// @route   PUT /api/series/:id/posts
+// @access  Private (author or posts:update:any)
+router.put('/:id/posts', protect, isAuthor(Series, 'posts:update:any'), [
+  body('posts')
+    .isArray()
+    .withMessage('Posts must be an array of post ids')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    // The new order must list exactly the posts already in the series
+    const series = req.resource;
+    const current = new Set(series.posts.map(String));
+    const order = req.body.posts.map(String);
+    if (order.length !== current.size || new Set(order).size !== order.length || !order.every(id => current.has(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Posts must list every post in the series exactly once'
+      });
+    }
+
+    series.posts = order.map(id => new mongoose.Types.ObjectId(id));
+    await series.save();
+
+    await sendSeries(res, series, req.user, { message: 'Series reordered successfully' });
+  } catch (error) {
+    console.error('Reorder series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Remove a post from a series
+// @route   DELETE /api/series/:id/posts/:postId
+// @access  Private (author or posts:update:any)
+router.delete('/:id/posts/:postId', protect, isAuthor(Series, 'posts:update:any'), async (req, res) => {
+  try {
+    const series = req.resource;
+    const index = series.posts.findIndex(id => String(id) === req.params.postId);
+    if (index === -1) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post is not in this series'
+      });
+    }
+
+    series.posts.splice(index, 1);
+    await series.save();
+
+    await sendSeries(res, series, req.user, { message: 'Post removed from series' });
+  } catch (error) {
+    console.error('Remove series post error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
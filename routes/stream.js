@@ -0,0 +1,123 @@
+const express = require('express');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { protect } = require('../middleware/auth');
+const { postChannel, userChannel, sessionChannel, subscribe } = require('../utils/events');
+const { openStream } = require('../utils/sse');
+const { issueStreamTicket, redeemStreamTicket } = require('../utils/streamTickets');
+
+const router = express.Router();
+
+// Longest delay setTimeout supports
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+// Authenticate a stream request by its ?ticket= (see POST /ticket), the
+// way `protect` does with a bearer token
+const protectStream = async (req, res, next) => {
+  const ticket = typeof req.query.ticket === 'string' ? redeemStreamTicket(req.query.ticket) : null;
+  if (!ticket) {
+    return res.status(401).json({
+      success: false,
+      message: 'A valid stream ticket is required'
+    });
+  }
+
+  try {
+    const user = await User.findById(ticket.user).populate('role');
+    const session = await Session.findById(ticket.session);
+    if (!user || !user.isActive || !session || !session.isActive()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked'
+      });
+    }
+
+    req.user = user;
+    req.authSession = session;
+    next();
+  } catch (error) {
+    console.error('Stream auth error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Stream a channel's events to the client until it disconnects or the
+// session it was opened with ends; clients then need a new ticket
+const streamChannel = (req, res, channel, hello) => {
+  const session = req.authSession;
+
+  let unsubscribe = () => {};
+  let unsubscribeSession = () => {};
+  let expiryTimer = null;
+
+  const stream = openStream(req, res, () => {
+    unsubscribe();
+    unsubscribeSession();
+    clearTimeout(expiryTimer);
+  });
+
+  unsubscribe = subscribe(channel, ({ event, data }) => stream.send(event, data));
+
+  unsubscribeSession = subscribe(sessionChannel(session._id), () => {
+    stream.send('session-revoked', { message: 'Session was revoked, sign in again' });
+    stream.close();
+  });
+
+  expiryTimer = setTimeout(() => {
+    stream.send('session-expired', { message: 'Session expired, sign in again' });
+    stream.close();
+  }, Math.min(Math.max(session.expiresAt.getTime() - Date.now(), 0), MAX_TIMEOUT_MS));
+
+  stream.send('ready', hello);
+};
+
+// @desc    Get a single-use ticket for opening a stream
+// @route   POST /api/stream/ticket
+// @access  Private
+router.post('/ticket', protect, (req, res) => {
+  const { ticket, expiresAt } = issueStreamTicket(req.user, req.authSession);
+
+  res.status(201).json({
+    success: true,
+    data: {
+      ticket,
+      expiresAt
+    }
+  });
+});
+
+// @desc    Stream comment and like events for a post
+// @route   GET /api/stream/posts/:postId
+// @access  Private (stream ticket)
+router.get('/posts/:postId', protectStream, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.postId);
+    if (!post || !post.isVisible()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    streamChannel(req, res, postChannel(post._id), { post: post._id });
+  } catch (error) {
+    console.error('Post stream error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Stream the current user's notifications
+// @route   GET /api/stream/notifications
+// @access  Private (stream ticket)
+router.get('/notifications', protectStream, (req, res) => {
+  streamChannel(req, res, userChannel(req.user._id), { user: req.user._id });
+});
+
+module.exports = router;
@@ -0,0 +1,406 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Post = require('../models/Post');
+const Tag = require('../models/Tag');
+const Follow = require('../models/Follow');
+const { protect, requirePermission } = require('../middleware/auth');
+const { normalizeTag, normalizeTags } = require('../utils/tags');
+const escapeRegex = require('../utils/escapeRegex');
+const { parsePagination, paginate } = require('../utils/pagination');
+const { withTransaction } = require('../utils/transaction');
+
+const router = express.Router();
+
+// Rewrite every post tagged with any of `fromTags` to use `toTag` instead
+const retagPosts = async (fromTags, toTag, session = null) => {
+  const sources = fromTags.filter(tag => tag !== toTag);
+  if (sources.length === 0) {
+    return 0;
+  }
+
+  const result = await Post.updateMany(
+    { tags: { $in: sources } },
+    { $addToSet: { tags: toTag } },
+    { session }
+  );
+  await Post.updateMany(
+    { tags: { $in: sources } },
+    { $pull: { tags: { $in: sources } } },
+    { session }
+  );
+
+  return result.matchedCount;
+};
+
+// Move follows of any of `fromTags` over to `toTag`
+const retagFollows = async (fromTags, toTag, session = null) => {
+  const sources = fromTags.filter(tag => tag !== toTag);
+  if (sources.length === 0) {
+    return;
+  }
+
+  const followerIds = await Follow.distinct('follower', { type: 'tag', tag: { $in: sources } }).session(session);
+  for (const followerId of followerIds) {
+    await Follow.follow(followerId, 'tag', toTag, { session });
+  }
+  await Follow.deleteMany({ type: 'tag', tag: { $in: sources } }, { session });
+};
+
+// Scale usage counts to 1-5 on a log curve for tag clouds
+const addCloudWeights = (tags) => {
+  if (tags.length === 0) {
+    return tags;
+  }
+
+  const counts = tags.map(tag => Math.log(tag.count));
+  const min = Math.min(...counts);
+  const max = Math.max(...counts);
+
+  return tags.map(tag => ({
+    ...tag,
+    weight: max === min ? 3 : 1 + Math.round(4 * (Math.log(tag.count) - min) / (max - min))
+  }));
+};
+
+// @desc    Get tags with usage counts
+// @route   GET /api/tags
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const sort = req.query.sort === 'name' ? { _id: 1 } : { count: -1, _id: 1 };
+
+    const pipeline = [
+      { $match: Post.visibleFilter() },
+      { $unwind: '$tags' }
+    ];
+
+    if (req.query.q) {
+      pipeline.push({ $match: { tags: { $regex: `^${escapeRegex(normalizeTag(req.query.q))}` } } });
+    }
+
+    pipeline.push(
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: sort },
+      { $limit: limit },
+      { $project: { _id: 0, name: '$_id', count: 1 } }
+    );
+
+    const tags = await Post.aggregate(pipeline);
+
+    res.json({
+      success: true,
+      count: tags.length,
+      data: {
+        tags: addCloudWeights(tags)
+      }
+    });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get posts with a tag
+// @route   GET /api/tags/:tag/posts
+// @access  Public
+router.get('/:tag/posts', async (req, res) => {
+  try {
+    const [tag] = await Tag.canonicalize([req.params.tag]);
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    const pagination = parsePagination(req);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
+
+    const { items: posts, pagination: paginationResult } = await paginate(req, res, pagination, {
+      model: Post,
+      filter: { ...Post.visibleFilter(), tags: tag },
+      sort: { field: 'createdAt', direction: -1 },
+      build: query => query
+        .populate('author', 'name avatar')
+        .populate('category', 'name slug')
+        .populate('commentsCount')
+    });
+
+    const curated = await Tag.findOne({ name: tag });
+
+    res.json({
+      success: true,
+      count: posts.length,
+      pagination: paginationResult,
+      data: {
+        tag: {
+          name: tag,
+          description: curated ? curated.description : undefined,
+          synonyms: curated ? curated.synonyms : []
+        },
+        posts: posts.map(post => ({
+          id: post._id,
+          title: post.title,
+          slug: post.slug,
+          excerpt: post.excerpt,
+          author: {
+            id: post.author._id,
+            name: post.author.name,
+            avatar: post.author.avatar
+          },
+          category: {
+            id: post.category._id,
+            name: post.category.name,
+            slug: post.category.slug
+          },
+          tags: post.tags,
+          featuredImage: post.featuredImage,
+          viewCount: post.viewCount,
+          commentsCount: post.commentsCount || 0,
+          createdAt: post.createdAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get tag posts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Create or update a curated tag and its synonyms
+// @route   PUT /api/tags/:tag
+// @access  Private (tags:manage)
+router.put('/:tag', protect, requirePermission('tags:manage'), [
+  body('description')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot be more than 200 characters'),
+  body('synonyms')
+    .optional()
+    .isArray()
+    .withMessage('Synonyms must be an array')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const name = normalizeTag(req.params.tag);
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tag name'
+      });
+    }
+
+    // A synonym can't itself be the synonym of another curated tag
+    const owner = await Tag.findOne({ synonyms: name });
+    if (owner) {
+      return res.status(400).json({
+        success: false,
+        message: `"${name}" is a synonym of "${owner.name}"`
+      });
+    }
+
+    const synonyms = normalizeTags(req.body.synonyms).filter(synonym => synonym !== name);
+
+    if (synonyms.length > 0) {
+      // Plain tags can become synonyms; curated ones have to be merged
+      const conflict = await Tag.findOne({
+        name: { $ne: name },
+        $and: [
+          { $or: [{ name: { $in: synonyms } }, { synonyms: { $in: synonyms } }] },
+          Tag.curatedFilter()
+        ]
+      });
+      if (conflict) {
+        return res.status(400).json({
+          success: false,
+          message: `Synonyms overlap with the curated tag "${conflict.name}"; merge the tags instead`
+        });
+      }
+    }
+
+    let tag = await Tag.findOne({ name });
+    if (!tag) {
+      tag = new Tag({ name });
+    }
+
+    if (req.body.description !== undefined) tag.description = req.body.description;
+    if (req.body.synonyms !== undefined) tag.synonyms = synonyms;
+
+    const postsUpdated = await withTransaction(async (session) => {
+      await tag.save({ session });
+      await Tag.deleteMany({ name: { $in: tag.synonyms } }, { session });
+      const updated = await retagPosts(tag.synonyms, tag.name, session);
+      await retagFollows(tag.synonyms, tag.name, session);
+      return updated;
+    });
+
+    res.json({
+      success: true,
+      message: 'Tag saved successfully',
+      data: {
+        tag: {
+          id: tag._id,
+          name: tag.name,
+          description: tag.description,
+          synonyms: tag.synonyms
+        },
+        postsUpdated
+      }
+    });
+  } catch (error) {
+    console.error('Save tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Merge a tag into another tag
+// @route   POST /api/tags/:tag/merge
+// @access  Private (tags:manage)
+router.post('/:tag/merge', protect, requirePermission('tags:manage'), [
+  body('into')
+    .trim()
+    .notEmpty()
+    .withMessage('Target tag is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const source = normalizeTag(req.params.tag);
+    const [target] = await Tag.canonicalize([req.body.into]);
+
+    if (!source || !target || source === target) {
+      return res.status(400).json({
+        success: false,
+        message: 'Source and target tags must be different, valid tags'
+      });
+    }
+
+    const sourceTag = await Tag.findOne({ name: source });
+    const targetTag = await Tag.findOne({ name: target }) || new Tag({ name: target });
+
+    // The source and everything that pointed at it now point at the target
+    const absorbed = [source, ...(sourceTag ? sourceTag.synonyms : [])];
+    targetTag.synonyms = [...new Set([...targetTag.synonyms, ...absorbed])]
+      .filter(synonym => synonym !== target);
+
+    // All or nothing, so a failure can't lose the source tag or leave
+    // posts half retagged
+    const postsUpdated = await withTransaction(async (session) => {
+      await targetTag.save({ session });
+      if (sourceTag) {
+        await sourceTag.deleteOne({ session });
+      }
+      const updated = await retagPosts(absorbed, target, session);
+      await retagFollows(absorbed, target, session);
+      return updated;
+    });
+
+    res.json({
+      success: true,
+      message: `Tag "${source}" merged into "${target}"`,
+      data: {
+        tag: {
+          id: targetTag._id,
+          name: targetTag.name,
+          synonyms: targetTag.synonyms
+        },
+        postsUpdated
+      }
+    });
+  } catch (error) {
+    console.error('Merge tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Follow a tag
+// @route   POST /api/tags/:tag/follow
+// @access  Private
+router.post('/:tag/follow', protect, async (req, res) => {
+  try {
+    const [tag] = await Tag.canonicalize([req.params.tag]);
+    if (!tag) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tag name'
+      });
+    }
+
+    const created = await Follow.follow(req.user._id, 'tag', tag);
+
+    res.json({
+      success: true,
+      message: created ? `You are now following #${tag}` : `You already follow #${tag}`,
+      data: {
+        tag,
+        isFollowing: true
+      }
+    });
+  } catch (error) {
+    console.error('Follow tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Unfollow a tag
+// @route   DELETE /api/tags/:tag/follow
+// @access  Private
+router.delete('/:tag/follow', protect, async (req, res) => {
+  try {
+    const [tag] = await Tag.canonicalize([req.params.tag]);
+    const removed = tag ? await Follow.unfollow(req.user._id, 'tag', tag) : false;
+
+    res.json({
+      success: true,
+      message: removed ? 'Tag unfollowed successfully' : 'You were not following this tag',
+      data: {
+        tag,
+        isFollowing: false
+      }
+    });
+  } catch (error) {
+    console.error('Unfollow tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,13 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const { protect, authorize, isAdmin } = require('../middleware/auth');
+const Session = require('../models/Session');
+const Role = require('../models/Role');
+const Bookmark = require('../models/Bookmark');
+const Follow = require('../models/Follow');
+const { protect, requirePermission } = require('../middleware/auth');
+const { parsePagination, paginate } = require('../utils/pagination');
+const { DELETED_USER_EMAIL, deleteUserAccount } = require('../utils/accounts');
 
 const router = express.Router();
 
@@ -24,6 +31,9 @@ router.get('/me', protect, async (req, res) => {
           bio: user.bio,
           avatar: user.avatar,
           isActive: user.isActive,
+          isEmailVerified: user.isEmailVerified,
+          followersCount: await Follow.countDocuments({ type: 'user', target: user._id }),
+          followingCount: await Follow.countDocuments({ follower: user._id }),
           createdAt: user.createdAt,
           updatedAt: user.updatedAt
         }
@@ -38,32 +48,262 @@ router.get('/me', protect, async (req, res) => {
   }
 });
 
-// @desc    Get all users (Admin only)
-// @route   GET /api/users
-// @access  Admin
-router.get('/', protect, isAdmin, async (req, res) => {
+// @desc    Get current user's bookmarked posts
+// @route   GET /api/users/me/bookmarks
+// @access  Private
+router.get('/me/bookmarks', protect, async (req, res) => {
   try {
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 10;
-    const startIndex = (page - 1) * limit;
+    const pagination = parsePagination(req);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
 
-    const users = await User.find()
-      .populate('role')
-      .select('-password')
-      .skip(startIndex)
-      .limit(limit)
-      .sort({ createdAt: -1 });
+    const { items: bookmarks, pagination: paginationResult } = await paginate(req, res, pagination, {
+      model: Bookmark,
+      filter: { user: req.user._id },
+      sort: { field: 'createdAt', direction: -1 },
+      build: query => query.populate({
+        path: 'post',
+        select: '-content',
+        populate: [
+          { path: 'author', select: 'name avatar' },
+          { path: 'category', select: 'name slug' }
+        ]
+      })
+    });
+
+    // Leave out posts that were deleted or unpublished since being saved
+    const visible = bookmarks.filter(bookmark => bookmark.post && bookmark.post.isVisible());
+
+    res.json({
+      success: true,
+      count: visible.length,
+      pagination: paginationResult,
+      data: {
+        bookmarks: visible.map(({ post, createdAt }) => ({
+          bookmarkedAt: createdAt,
+          post: {
+            id: post._id,
+            title: post.title,
+            slug: post.slug,
+            excerpt: post.excerpt,
+            author: {
+              id: post.author._id,
+              name: post.author.name,
+              avatar: post.author.avatar
+            },
+            category: {
+              id: post.category._id,
+              name: post.category.name,
+              slug: post.category.slug
+            },
+            tags: post.tags,
+            featuredImage: post.featuredImage,
+            reactions: post.reactionCounts,
+            bookmarksCount: post.bookmarksCount,
+            publishedAt: post.publishedAt
+          }
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get bookmarks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Resolve a user id route param, where "me" means the current user
+const resolveUserParam = (req) => (req.params.id === 'me' ? req.user._id : req.params.id);
+
+// @desc    Follow a user
+// @route   POST /api/users/:id/follow
+// @access  Private
+router.post('/:id/follow', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot follow yourself'
+      });
+    }
+
+    const created = await Follow.follow(req.user._id, 'user', user._id);
+
+    res.json({
+      success: true,
+      message: created ? `You are now following ${user.name}` : `You already follow ${user.name}`,
+      data: {
+        isFollowing: true,
+        followersCount: await Follow.countDocuments({ type: 'user', target: user._id })
+      }
+    });
+  } catch (error) {
+    console.error('Follow user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Unfollow a user
+// @route   DELETE /api/users/:id/follow
+// @access  Private
+router.delete('/:id/follow', protect, async (req, res) => {
+  try {
+    const removed = await Follow.unfollow(req.user._id, 'user', req.params.id);
+
+    res.json({
+      success: true,
+      message: removed ? 'User unfollowed successfully' : 'You were not following this user',
+      data: {
+        isFollowing: false,
+        followersCount: await Follow.countDocuments({ type: 'user', target: req.params.id })
+      }
+    });
+  } catch (error) {
+    console.error('Unfollow user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get a user's followers
+// @route   GET /api/users/:id/followers
+// @access  Private
+router.get('/:id/followers', protect, async (req, res) => {
+  try {
+    const pagination = parsePagination(req);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
+
+    const { items: follows, pagination: paginationResult } = await paginate(req, res, pagination, {
+      model: Follow,
+      filter: { type: 'user', target: resolveUserParam(req) },
+      sort: { field: 'createdAt', direction: -1 },
+      build: query => query.populate('follower', 'name avatar bio')
+    });
+
+    res.json({
+      success: true,
+      count: follows.length,
+      pagination: paginationResult,
+      data: {
+        followers: follows
+          .filter(follow => follow.follower)
+          .map(follow => ({
+            id: follow.follower._id,
+            name: follow.follower.name,
+            avatar: follow.follower.avatar,
+            bio: follow.follower.bio,
+            followedAt: follow.createdAt
+          }))
+      }
+    });
+  } catch (error) {
+    console.error('Get followers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get the users, categories and tags a user follows
+// @route   GET /api/users/:id/following
+// @access  Private
+router.get('/:id/following', protect, async (req, res) => {
+  try {
+    const pagination = parsePagination(req);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
+
+    const filter = { follower: resolveUserParam(req) };
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+
+    const { items: follows, pagination: paginationResult } = await paginate(req, res, pagination, {
+      model: Follow,
+      filter,
+      sort: { field: 'createdAt', direction: -1 },
+      build: query => query.populate('target', 'name avatar slug')
+    });
+
+    res.json({
+      success: true,
+      count: follows.length,
+      pagination: paginationResult,
+      data: {
+        following: follows.map(follow => ({
+          type: follow.type,
+          id: follow.target ? follow.target._id : undefined,
+          name: follow.type === 'tag' ? follow.tag : (follow.target ? follow.target.name : null),
+          avatar: follow.type === 'user' && follow.target ? follow.target.avatar : undefined,
+          slug: follow.type === 'category' && follow.target ? follow.target.slug : undefined,
+          followedAt: follow.createdAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get following error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get all users
+// @route   GET /api/users
+// @access  Private (users:read)
+router.get('/', protect, requirePermission('users:read'), async (req, res) => {
+  try {
+    const pagination = parsePagination(req);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
 
-    const total = await User.countDocuments();
+    const { items: users, pagination: paginationResult } = await paginate(req, res, pagination, {
+      model: User,
+      filter: {},
+      sort: { field: 'createdAt', direction: -1 },
+      build: query => query
+        .populate('role')
+        .select('-password')
+    });
 
     res.json({
       success: true,
       count: users.length,
-      pagination: {
-        current: page,
-        pages: Math.ceil(total / limit),
-        total
-      },
+      pagination: paginationResult,
       data: {
         users: users.map(user => ({
           id: user._id,
@@ -73,6 +313,7 @@ router.get('/', protect, isAdmin, async (req, res) => {
           bio: user.bio,
           avatar: user.avatar,
           isActive: user.isActive,
+          isEmailVerified: user.isEmailVerified,
           createdAt: user.createdAt,
           updatedAt: user.updatedAt
         }))
@@ -87,10 +328,10 @@ router.get('/', protect, isAdmin, async (req, res) => {
   }
 });
 
-// @desc    Get single user by ID (Admin only)
+// @desc    Get single user by ID
 // @route   GET /api/users/:id
-// @access  Admin
-router.get('/:id', protect, isAdmin, async (req, res) => {
+// @access  Private (users:read)
+router.get('/:id', protect, requirePermission('users:read'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id)
       .populate('role')
@@ -114,6 +355,7 @@ router.get('/:id', protect, isAdmin, async (req, res) => {
           bio: user.bio,
           avatar: user.avatar,
           isActive: user.isActive,
+          isEmailVerified: user.isEmailVerified,
           createdAt: user.createdAt,
           updatedAt: user.updatedAt
         }
@@ -173,10 +415,10 @@ router.put('/me', protect, async (req, res) => {
   }
 });
 
-// @desc    Deactivate/Activate user (Admin only)
+// @desc    Deactivate/Activate user
 // @route   PATCH /api/users/:id/status
-// @access  Admin
-router.patch('/:id/status', protect, isAdmin, async (req, res) => {
+// @access  Private (users:manage)
+router.patch('/:id/status', protect, requirePermission('users:manage'), async (req, res) => {
   try {
     const { isActive } = req.body;
 
@@ -191,6 +433,11 @@ router.patch('/:id/status', protect, isAdmin, async (req, res) => {
     user.isActive = isActive;
     await user.save();
 
+    // Deactivated users lose every outstanding session
+    if (!user.isActive) {
+      await Session.revokeAllForUser(user._id);
+    }
+
     res.json({
       success: true,
       message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
@@ -212,4 +459,159 @@ router.patch('/:id/status', protect, isAdmin, async (req, res) => {
   }
 });
 
+// @desc    Delete own account; posts and comments are anonymized
+// @route   DELETE /api/users/me
+// @access  Private
+router.delete('/me', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!req.body.password || !(await user.matchPassword(req.body.password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Please confirm your password to delete your account'
+      });
+    }
+
+    const summary = await deleteUserAccount(user);
+
+    res.json({
+      success: true,
+      message: 'Your account has been deleted',
+      data: summary
+    });
+  } catch (error) {
+    console.error('Delete own account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Delete a user, anonymizing their content or transferring their posts
+// @route   DELETE /api/users/:id?content=anonymize|transfer&transferTo=<userId>
+// @access  Private (users:manage)
+router.delete('/:id', protect, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const content = req.query.content || 'anonymize';
+    if (!['anonymize', 'transfer'].includes(content)) {
+      return res.status(400).json({
+        success: false,
+        message: 'content must be anonymize or transfer'
+      });
+    }
+
+    const user = mongoose.isValidObjectId(req.params.id) ? await User.findById(req.params.id) : null;
+    if (!user || user.email === DELETED_USER_EMAIL) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use DELETE /api/users/me to delete your own account'
+      });
+    }
+
+    let transferTo = null;
+    if (content === 'transfer') {
+      transferTo = mongoose.isValidObjectId(req.query.transferTo)
+        ? await User.findOne({ _id: req.query.transferTo, isActive: true })
+        : null;
+      if (!transferTo || transferTo._id.equals(user._id) || transferTo.email === DELETED_USER_EMAIL) {
+        return res.status(400).json({
+          success: false,
+          message: 'transferTo must be a different, active user'
+        });
+      }
+    }
+
+    const summary = await deleteUserAccount(user, { transferTo });
+
+    res.json({
+      success: true,
+      message: transferTo
+        ? `User deleted and their posts transferred to ${transferTo.name}`
+        : 'User deleted and their content anonymized',
+      data: summary
+    });
+  } catch (error) {
+    console.error('Delete user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Assign a role to a user
+// @route   PATCH /api/users/:id/role
+// @access  Private (roles:manage)
+router.patch('/:id/role', protect, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { role: roleValue } = req.body;
+
+    if (!roleValue) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role is required'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Prevent admins from locking themselves out
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    // Any 12-character name also passes as an ObjectId, so fall back to
+    // looking the role up by name
+    const role = (mongoose.isValidObjectId(roleValue) && await Role.findById(roleValue)) ||
+      await Role.findOne({ name: String(roleValue).toLowerCase() });
+
+    if (!role) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    user.role = role._id;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: `User role changed to ${role.name}`,
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: role.name
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
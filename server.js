@@ -11,6 +11,16 @@ const userRoutes = require('./routes/users');
 const postRoutes = require('./routes/posts');
 const commentRoutes = require('./routes/comments');
 const categoryRoutes = require('./routes/categories');
+const roleRoutes = require('./routes/roles');
+const searchRoutes = require('./routes/search');
+const tagRoutes = require('./routes/tags');
+const feedRoutes = require('./routes/feed');
+const notificationRoutes = require('./routes/notifications');
+const streamRoutes = require('./routes/stream');
+const reportRoutes = require('./routes/reports');
+const seriesRoutes = require('./routes/series');
+const { startScheduler } = require('./utils/scheduler');
+const { runMigrations } = require('./utils/migrations');
 
 const app = express();
 
@@ -34,7 +44,11 @@ mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('Connected to MongoDB'))
+.then(async () => {
+  console.log('Connected to MongoDB');
+  await runMigrations();
+  startScheduler();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
@@ -43,6 +57,14 @@ app.use('/api/users', userRoutes);
 app.use('/api/posts', postRoutes);
 app.use('/api/comments', commentRoutes);
 app.use('/api/categories', categoryRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/feed', feedRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/series', seriesRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
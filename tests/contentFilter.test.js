@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const Comment = require('../models/Comment');
+const { checkComment, registerContentFilter } = require('../utils/contentFilter');
+const { screenComment } = require('../utils/moderation');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const member = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  createdAt: new Date(Date.now() - 30 * DAY),
+  role: { name: 'user', permissions: ['comments:create'] },
+  ...overrides
+});
+
+const reasons = result => result.flags.map(flag => flag.reason);
+
+describe('checkComment', () => {
+  beforeEach(() => {
+    jest.spyOn(Comment, 'exists').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.COMMENT_BANNED_WORDS;
+    delete process.env.COMMENT_MAX_LINKS;
+    delete process.env.COMMENT_SPAM_THRESHOLD;
+  });
+
+  it('lets an ordinary comment through', async () => {
+    const result = await checkComment({ text: 'Thanks, this helped a lot.', user: member() });
+    expect(result).toEqual({ score: 0, flags: [], hold: false });
+  });
+
+  it('holds comments with a banned word, matching whole words only', async () => {
+    process.env.COMMENT_BANNED_WORDS = 'darn, heck';
+
+    const held = await checkComment({ text: 'Well, DARN it', user: member() });
+    expect(held.hold).toBe(true);
+    expect(reasons(held)).toEqual(['Contains banned word "darn"']);
+
+    const clean = await checkComment({ text: 'The darnedest thing', user: member() });
+    expect(clean.flags).toEqual([]);
+  });
+
+  it('scores links past COMMENT_MAX_LINKS', async () => {
+    process.env.COMMENT_MAX_LINKS = '1';
+    const text = 'See https://a.example and www.b.example and https://c.example';
+
+    const result = await checkComment({ text, user: member() });
+    expect(result.flags).toEqual([
+      { filter: 'links', reason: 'Contains 3 links (limit 1)', score: 5 }
+    ]);
+    expect(result.hold).toBe(true);
+  });
+
+  it('holds the same text posted again by the same user', async () => {
+    const user = member();
+    const comment = { _id: new mongoose.Types.ObjectId() };
+    Comment.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+    const result = await checkComment({ text: '  First   post! ', user, comment });
+
+    const [query] = Comment.exists.mock.calls[0];
+    expect(query.author).toBe(user._id);
+    expect(query._id).toEqual({ $ne: comment._id });
+    expect(query.text.$regex).toBe('^\\s*First\\s+post!\\s*$');
+    expect(result.hold).toBe(true);
+  });
+
+  it('adds up weak signals until they cross the threshold', async () => {
+    const shouting = await checkComment({ text: 'THIS IS THE BEST POST EVER WRITTEN', user: member() });
+    expect(reasons(shouting)).toEqual(['Mostly capital letters']);
+    expect(shouting.hold).toBe(false);
+
+    const spammy = await checkComment({
+      text: 'Click here!!!! https://win.example',
+      user: member({ createdAt: new Date() })
+    });
+    expect(reasons(spammy)).toEqual([
+      'Excessive punctuation',
+      'Contains spam phrase "click here"',
+      'Link posted by an account less than a day old'
+    ]);
+    expect(spammy.score).toBe(5);
+    expect(spammy.hold).toBe(true);
+  });
+
+  it('uses COMMENT_SPAM_THRESHOLD', async () => {
+    process.env.COMMENT_SPAM_THRESHOLD = '2';
+    const result = await checkComment({ text: 'THIS IS THE BEST POST EVER WRITTEN', user: member() });
+    expect(result.hold).toBe(true);
+  });
+
+  it('runs filters registered later', async () => {
+    registerContentFilter('test-no-pirates', async ({ text }) => (
+      /\barr+\b/i.test(text) ? [{ reason: 'Pirate talk', score: 1 }] : []
+    ));
+
+    const result = await checkComment({ text: 'Arrr, nice post', user: member() });
+    expect(result.flags).toEqual([{ filter: 'test-no-pirates', reason: 'Pirate talk', score: 1 }]);
+  });
+});
+
+describe('screenComment', () => {
+  it('trusts moderators without running the filters', async () => {
+    const exists = jest.spyOn(Comment, 'exists');
+    const moderator = member({ role: { name: 'moderator', permissions: ['comments:moderate'] } });
+
+    const result = await screenComment({ text: 'CLICK HERE!!!! https://x.example', user: moderator });
+
+    expect(result).toEqual({ score: 0, flags: [], hold: false });
+    expect(exists).not.toHaveBeenCalled();
+    exists.mockRestore();
+  });
+});
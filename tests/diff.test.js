@@ -0,0 +1,63 @@
+const { MAX_DIFF_CELLS, diffLines, summarizeDiff } = require('../utils/diff');
+
+describe('diffLines', () => {
+  it('returns no changes for two empty texts', () => {
+    expect(diffLines('', '')).toEqual([]);
+    expect(diffLines(undefined, undefined)).toEqual([]);
+  });
+
+  it('marks every line as added or removed against an empty text', () => {
+    expect(diffLines('', 'a\nb')).toEqual([
+      { type: 'added', line: 'a' },
+      { type: 'added', line: 'b' }
+    ]);
+    expect(diffLines('a\nb', '')).toEqual([
+      { type: 'removed', line: 'a' },
+      { type: 'removed', line: 'b' }
+    ]);
+  });
+
+  it('keeps identical texts unchanged', () => {
+    expect(diffLines('a\nb\nc', 'a\nb\nc')).toEqual([
+      { type: 'unchanged', line: 'a' },
+      { type: 'unchanged', line: 'b' },
+      { type: 'unchanged', line: 'c' }
+    ]);
+  });
+
+  it('finds insertions, removals and edits between shared lines', () => {
+    expect(diffLines('a\nb\nc\nd', 'a\nc\nx\nd')).toEqual([
+      { type: 'unchanged', line: 'a' },
+      { type: 'removed', line: 'b' },
+      { type: 'unchanged', line: 'c' },
+      { type: 'added', line: 'x' },
+      { type: 'unchanged', line: 'd' }
+    ]);
+  });
+
+  it('reports a huge changed block as a whole replacement', () => {
+    const size = Math.ceil(Math.sqrt(MAX_DIFF_CELLS)) + 1;
+    const oldBody = Array.from({ length: size }, (_, i) => `old ${i}`);
+    const newBody = Array.from({ length: size }, (_, i) => `new ${i}`);
+    const oldText = ['head', ...oldBody, 'tail'].join('\n');
+    const newText = ['head', ...newBody, 'tail'].join('\n');
+
+    const changes = diffLines(oldText, newText);
+
+    expect(changes).toHaveLength(2 * size + 2);
+    expect(changes[0]).toEqual({ type: 'unchanged', line: 'head' });
+    expect(changes[1]).toEqual({ type: 'removed', line: 'old 0' });
+    expect(changes[size + 1]).toEqual({ type: 'added', line: 'new 0' });
+    expect(changes[changes.length - 1]).toEqual({ type: 'unchanged', line: 'tail' });
+  });
+});
+
+describe('summarizeDiff', () => {
+  it('counts added and removed lines', () => {
+    expect(summarizeDiff(diffLines('a\nb\nc', 'a\nx\ny\nc'))).toEqual({ added: 2, removed: 1 });
+  });
+
+  it('returns zeros when nothing changed', () => {
+    expect(summarizeDiff(diffLines('a', 'a'))).toEqual({ added: 0, removed: 0 });
+  });
+});
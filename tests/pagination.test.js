@@ -0,0 +1,220 @@
+const mongoose = require('mongoose');
+const {
+  encodeCursor,
+  decodeCursor,
+  parsePagination,
+  setLinkHeader,
+  pageResult,
+  paginate
+} = require('../utils/pagination');
+
+const fakeRequest = (query = {}) => ({
+  query,
+  protocol: 'http',
+  baseUrl: '/api/posts',
+  path: '/',
+  get: () => 'example.com'
+});
+
+const fakeResponse = () => {
+  const headers = {};
+  return {
+    headers,
+    set: (name, value) => {
+      headers[name] = value;
+    }
+  };
+};
+
+// Just enough of a Mongoose model for paginate: records the filter and
+// sort of each find and serves `items` in the requested order
+const fakeModel = (items) => {
+  const calls = [];
+  const model = {
+    calls,
+    find: (filter) => {
+      const call = { filter };
+      calls.push(call);
+      const query = {
+        setOptions: () => query,
+        sort: (sort) => {
+          call.sort = sort;
+          return query;
+        },
+        skip: (skip) => {
+          call.skip = skip;
+          return query;
+        },
+        limit: (limit) => {
+          call.limit = limit;
+          const direction = Object.values(call.sort)[0];
+          const ordered = direction === 1 ? [...items] : [...items].reverse();
+          return Promise.resolve(ordered.slice(call.skip || 0, (call.skip || 0) + limit));
+        }
+      };
+      return query;
+    },
+    countDocuments: () => ({ setOptions: () => Promise.resolve(items.length) })
+  };
+  return model;
+};
+
+describe('cursors', () => {
+  it('round-trips dates, numbers, strings and nulls with the id', () => {
+    const _id = new mongoose.Types.ObjectId();
+    const createdAt = new Date('2024-05-01T10:00:00Z');
+
+    const fromDate = decodeCursor(encodeCursor({ _id, createdAt }, 'createdAt'));
+    expect(fromDate.value).toEqual(createdAt);
+    expect(fromDate.id.equals(_id)).toBe(true);
+
+    expect(decodeCursor(encodeCursor({ _id, views: 42 }, 'views')).value).toBe(42);
+    expect(decodeCursor(encodeCursor({ _id, title: 'abc' }, 'title')).value).toBe('abc');
+    expect(decodeCursor(encodeCursor({ _id, publishedAt: null }, 'publishedAt')).value).toBeNull();
+    expect(decodeCursor(encodeCursor({ _id }, 'publishedAt')).value).toBeNull();
+  });
+
+  it('rejects cursors that are not ours', () => {
+    expect(decodeCursor('not a cursor')).toBeNull();
+    expect(decodeCursor(Buffer.from('{"v":1,"id":"nope"}').toString('base64url'))).toBeNull();
+    expect(decodeCursor(Buffer.from('null').toString('base64url'))).toBeNull();
+  });
+});
+
+describe('parsePagination', () => {
+  it('defaults to the first page', () => {
+    expect(parsePagination(fakeRequest())).toEqual({ mode: 'page', limit: 10, page: 1, skip: 0 });
+  });
+
+  it('clamps page and limit', () => {
+    expect(parsePagination(fakeRequest({ page: '3', limit: '500' }))).toEqual({
+      mode: 'page', limit: 100, page: 3, skip: 200
+    });
+    expect(parsePagination(fakeRequest({ page: '-2', limit: '0' }))).toMatchObject({ page: 1, limit: 10 });
+    expect(parsePagination(fakeRequest({ page: 'abc', limit: '-5' }))).toMatchObject({ page: 1, limit: 1 });
+    expect(parsePagination(fakeRequest({ limit: '80' }), { defaultLimit: 20, maxLimit: 50 }).limit).toBe(50);
+    expect(parsePagination(fakeRequest(), { defaultLimit: 20 }).limit).toBe(20);
+  });
+
+  it('switches to cursor mode on after, before or paginate=cursor', () => {
+    const cursor = encodeCursor({ _id: new mongoose.Types.ObjectId(), createdAt: new Date() }, 'createdAt');
+
+    expect(parsePagination(fakeRequest({ paginate: 'cursor' }))).toMatchObject({
+      mode: 'cursor', cursor: null, direction: 'after'
+    });
+    expect(parsePagination(fakeRequest({ after: cursor }))).toMatchObject({ mode: 'cursor', direction: 'after' });
+    expect(parsePagination(fakeRequest({ before: cursor }))).toMatchObject({ mode: 'cursor', direction: 'before' });
+  });
+
+  it('reports bad cursor combinations', () => {
+    const cursor = encodeCursor({ _id: new mongoose.Types.ObjectId(), createdAt: new Date() }, 'createdAt');
+
+    expect(parsePagination(fakeRequest({ after: cursor, before: cursor })).error).toMatch(/either after or before/);
+    expect(parsePagination(fakeRequest({ after: 'garbage' })).error).toBe('Invalid pagination cursor');
+  });
+});
+
+describe('Link headers', () => {
+  it('links to the first, neighbouring and last pages', () => {
+    const res = fakeResponse();
+    const result = pageResult(fakeRequest({ page: '2', tag: 'node' }), res, { page: 2, limit: 10 }, 35);
+
+    expect(result).toEqual({ current: 2, pages: 4, total: 35 });
+    expect(res.headers.Link).toBe([
+      '<http://example.com/api/posts/?page=1&tag=node>; rel="first"',
+      '<http://example.com/api/posts/?page=1&tag=node>; rel="prev"',
+      '<http://example.com/api/posts/?page=3&tag=node>; rel="next"',
+      '<http://example.com/api/posts/?page=4&tag=node>; rel="last"'
+    ].join(', '));
+  });
+
+  it('leaves out links that do not apply', () => {
+    const res = fakeResponse();
+    pageResult(fakeRequest(), res, { page: 1, limit: 10 }, 0);
+    expect(res.headers.Link).toBe('<http://example.com/api/posts/?page=1>; rel="first"');
+
+    const empty = fakeResponse();
+    setLinkHeader(fakeRequest(), empty, { next: null });
+    expect(empty.headers.Link).toBeUndefined();
+  });
+});
+
+describe('paginate', () => {
+  const items = Array.from({ length: 5 }, (_, i) => ({
+    _id: new mongoose.Types.ObjectId(),
+    createdAt: new Date(Date.UTC(2024, 0, i + 1))
+  }));
+  const sort = { field: 'createdAt', direction: 1 };
+
+  it('skips to the requested page and counts the total', async () => {
+    const model = fakeModel(items);
+    const req = fakeRequest({ page: '2', limit: '2' });
+
+    const result = await paginate(req, fakeResponse(), parsePagination(req), { model, filter: {}, sort });
+
+    expect(result.items).toEqual(items.slice(2, 4));
+    expect(result.pagination).toEqual({ current: 2, pages: 3, total: 5 });
+    expect(model.calls[0].sort).toEqual({ createdAt: 1, _id: 1 });
+  });
+
+  it('walks forward from a cursor with a tie-break on _id', async () => {
+    const model = fakeModel(items.slice(2));
+    const after = encodeCursor(items[1], 'createdAt');
+    const req = fakeRequest({ after, limit: '2' });
+
+    const result = await paginate(req, fakeResponse(), parsePagination(req), {
+      model,
+      filter: { status: 'published' },
+      sort
+    });
+
+    const [filter, cursorFilter] = model.calls[0].filter.$and;
+    expect(filter).toEqual({ status: 'published' });
+    expect(cursorFilter.$or[0]).toEqual({ createdAt: { $gt: items[1].createdAt } });
+    expect(cursorFilter.$or[1].createdAt).toEqual(items[1].createdAt);
+    expect(cursorFilter.$or[1]._id.$gt.equals(items[1]._id)).toBe(true);
+
+    expect(result.items).toEqual(items.slice(2, 4));
+    expect(decodeCursor(result.pagination.next).id.equals(items[3]._id)).toBe(true);
+    expect(decodeCursor(result.pagination.prev).id.equals(items[2]._id)).toBe(true);
+  });
+
+  it('includes null sort values after a cursor in descending order', async () => {
+    const model = fakeModel([]);
+    const after = encodeCursor(items[0], 'createdAt');
+    const req = fakeRequest({ after });
+
+    await paginate(req, fakeResponse(), parsePagination(req), {
+      model,
+      filter: {},
+      sort: { field: 'createdAt', direction: -1 }
+    });
+
+    expect(model.calls[0].filter.$and[1].$or).toContainEqual({ createdAt: null });
+  });
+
+  it('walks backwards from a cursor and keeps the sort order', async () => {
+    const model = fakeModel(items.slice(0, 3));
+    const before = encodeCursor(items[3], 'createdAt');
+    const req = fakeRequest({ before, limit: '2' });
+
+    const result = await paginate(req, fakeResponse(), parsePagination(req), { model, filter: {}, sort });
+
+    expect(model.calls[0].sort).toEqual({ createdAt: -1, _id: -1 });
+    expect(result.items).toEqual(items.slice(1, 3));
+    expect(result.pagination.prev).not.toBeNull();
+    expect(decodeCursor(result.pagination.next).id.equals(items[2]._id)).toBe(true);
+  });
+
+  it('has no next cursor on the last page', async () => {
+    const model = fakeModel(items);
+    const req = fakeRequest({ paginate: 'cursor', limit: '10' });
+    const res = fakeResponse();
+
+    const result = await paginate(req, res, parsePagination(req), { model, filter: {}, sort });
+
+    expect(result.items).toEqual(items);
+    expect(result.pagination).toEqual({ limit: 10, next: null, prev: null });
+    expect(res.headers.Link).toBeUndefined();
+  });
+});
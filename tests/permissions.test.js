@@ -0,0 +1,64 @@
+const {
+  PERMISSIONS,
+  SUPERUSER_PERMISSION,
+  DEFAULT_ROLES,
+  expandPermissions,
+  hasPermission
+} = require('../utils/permissions');
+
+const userWith = permissions => ({ role: { name: 'custom', permissions } });
+
+describe('expandPermissions', () => {
+  it('gives the superuser permission every permission', () => {
+    expect(expandPermissions([SUPERUSER_PERMISSION]).sort()).toEqual([...PERMISSIONS].sort());
+  });
+
+  it('maps legacy permissions to their fine-grained ones', () => {
+    expect(expandPermissions(['read'])).toEqual([]);
+    expect(expandPermissions(['write']).sort()).toEqual(['comments:create', 'posts:create']);
+    expect(expandPermissions(['delete']).sort()).toEqual(['comments:delete:any', 'posts:delete:any']);
+  });
+
+  it('keeps fine-grained permissions and drops duplicates', () => {
+    expect(expandPermissions(['write', 'posts:create', 'posts:publish']).sort())
+      .toEqual(['comments:create', 'posts:create', 'posts:publish']);
+  });
+
+  it('handles roles without permissions', () => {
+    expect(expandPermissions()).toEqual([]);
+    expect(expandPermissions([])).toEqual([]);
+  });
+});
+
+describe('hasPermission', () => {
+  it('checks the permissions of the populated role', () => {
+    const user = userWith(['posts:create']);
+    expect(hasPermission(user, 'posts:create')).toBe(true);
+    expect(hasPermission(user, 'posts:publish')).toBe(false);
+  });
+
+  it('lets legacy and superuser roles through', () => {
+    expect(hasPermission(userWith(['delete']), 'comments:delete:any')).toBe(true);
+    expect(hasPermission(userWith([SUPERUSER_PERMISSION]), 'roles:manage')).toBe(true);
+  });
+
+  it('denies users without a populated role', () => {
+    expect(hasPermission(null, 'posts:create')).toBe(false);
+    expect(hasPermission({}, 'posts:create')).toBe(false);
+    expect(hasPermission({ role: 'an-unpopulated-id' }, 'posts:create')).toBe(false);
+  });
+});
+
+describe('DEFAULT_ROLES', () => {
+  it('only uses known permissions', () => {
+    const known = new Set([...PERMISSIONS, SUPERUSER_PERMISSION]);
+    DEFAULT_ROLES.forEach(role => {
+      role.permissions.forEach(permission => expect(known.has(permission)).toBe(true));
+    });
+  });
+
+  it('keeps publishing away from regular users', () => {
+    const user = DEFAULT_ROLES.find(role => role.name === 'user');
+    expect(hasPermission({ role: user }, 'posts:publish')).toBe(false);
+  });
+});
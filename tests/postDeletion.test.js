@@ -0,0 +1,112 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+
+// Shared with the mocked middleware below
+const mockState = { user: null, post: null };
+
+jest.mock('../middleware/auth', () => {
+  const pass = (req, res, next) => next();
+  return {
+    protect: (req, res, next) => {
+      req.user = mockState.user;
+      next();
+    },
+    optionalAuth: pass,
+    requireVerifiedEmail: pass,
+    requirePermission: () => pass,
+    isAuthor: () => (req, res, next) => {
+      req.resource = mockState.post;
+      next();
+    }
+  };
+});
+
+jest.mock('../utils/transaction', () => ({
+  withTransaction: work => work(null)
+}));
+
+const postRoutes = require('../routes/posts');
+
+const sameDate = (a, b) => (a === null || b === null ? a === b : a.getTime() === b.getTime());
+
+// Just enough of Comment.updateMany for the filters the routes use
+const matchesComment = (comment, filter) => Object.entries(filter).every(([field, value]) => {
+  if (field === 'post') return comment.post.equals(value);
+  if (field === 'deletedAt') return sameDate(comment.deletedAt, value);
+  throw new Error(`Unexpected filter field ${field}`);
+});
+
+describe('deleting and restoring a post', () => {
+  let server;
+  let baseUrl;
+  let comments;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/posts', postRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/posts`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    const postId = new mongoose.Types.ObjectId();
+    const moderatorId = new mongoose.Types.ObjectId();
+
+    mockState.user = { _id: new mongoose.Types.ObjectId() };
+    mockState.post = {
+      _id: postId,
+      title: 'Post',
+      slug: 'post',
+      status: 'published',
+      deletedAt: null,
+      async softDelete(userId, { at }) {
+        this.deletedAt = at;
+      },
+      async restore() {
+        this.deletedAt = null;
+      }
+    };
+
+    comments = [
+      { _id: 'kept', post: postId, deletedAt: null, deletedBy: null },
+      { _id: 'removed', post: postId, deletedAt: new Date(Date.now() - 60000), deletedBy: moderatorId }
+    ];
+
+    jest.spyOn(Comment, 'updateMany').mockImplementation(async (filter, update) => {
+      const matched = comments.filter(comment => matchesComment(comment, filter));
+      matched.forEach(comment => Object.assign(comment, update));
+      return { matchedCount: matched.length, modifiedCount: matched.length };
+    });
+    jest.spyOn(Post, 'findOne').mockImplementation(async () => (mockState.post.deletedAt ? mockState.post : null));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keeps comments deleted before the post deleted after a restore', async () => {
+    const removedAt = comments[1].deletedAt;
+    const postId = mockState.post._id;
+
+    const deleted = await fetch(`${baseUrl}/${postId}`, { method: 'DELETE' });
+    expect(deleted.status).toBe(200);
+    expect(comments[0].deletedAt).toEqual(mockState.post.deletedAt);
+    expect(comments[1].deletedAt).toBe(removedAt);
+
+    const restored = await fetch(`${baseUrl}/${postId}/restore`, { method: 'POST' });
+    const body = await restored.json();
+
+    expect(restored.status).toBe(200);
+    expect(body.data.commentsRestored).toBe(1);
+    expect(comments[0].deletedAt).toBeNull();
+    expect(comments[1].deletedAt).toBe(removedAt);
+  });
+});
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const PostRevision = require('../models/PostRevision');
+
+// findOne(...).sort(...).select(...) resolving to the given latest revision
+const latestRevision = (revision) => ({
+  sort: () => ({
+    select: () => Promise.resolve(revision ? { revision } : null)
+  })
+});
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+describe('PostRevision.record', () => {
+  const post = {
+    _id: new mongoose.Types.ObjectId(),
+    title: 'Title',
+    content: 'Content',
+    excerpt: 'Excerpt',
+    tags: ['node'],
+    category: new mongoose.Types.ObjectId()
+  };
+  const userId = new mongoose.Types.ObjectId();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('numbers the first revision 1', async () => {
+    jest.spyOn(PostRevision, 'findOne').mockReturnValue(latestRevision(null));
+    const create = jest.spyOn(PostRevision, 'create').mockImplementation(async doc => doc);
+
+    const revision = await PostRevision.record(post, userId, ['title']);
+
+    expect(revision.revision).toBe(1);
+    expect(create).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries with the next number when a concurrent edit took it', async () => {
+    jest.spyOn(PostRevision, 'findOne')
+      .mockReturnValueOnce(latestRevision(3))
+      .mockReturnValueOnce(latestRevision(4));
+    const create = jest.spyOn(PostRevision, 'create')
+      .mockRejectedValueOnce(duplicateKeyError())
+      .mockImplementation(async doc => doc);
+
+    const revision = await PostRevision.record(post, userId, ['content']);
+
+    expect(create).toHaveBeenCalledTimes(2);
+    expect(create.mock.calls[0][0].revision).toBe(4);
+    expect(revision.revision).toBe(5);
+  });
+
+  it('gives up after repeated conflicts', async () => {
+    jest.spyOn(PostRevision, 'findOne').mockReturnValue(latestRevision(1));
+    jest.spyOn(PostRevision, 'create').mockRejectedValue(duplicateKeyError());
+
+    await expect(PostRevision.record(post, userId, ['content'])).rejects.toMatchObject({ code: 11000 });
+    expect(PostRevision.create).toHaveBeenCalledTimes(5);
+  });
+
+  it('does not retry other errors', async () => {
+    jest.spyOn(PostRevision, 'findOne').mockReturnValue(latestRevision(1));
+    jest.spyOn(PostRevision, 'create').mockRejectedValue(new Error('boom'));
+
+    await expect(PostRevision.record(post, userId, ['content'])).rejects.toThrow('boom');
+    expect(PostRevision.create).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const Report = require('../models/Report');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const { fileReport, getHideThreshold } = require('../utils/reports');
+
+describe('fileReport', () => {
+  let reports;
+
+  const report = (target, targetType = 'post') => fileReport({
+    reporter: { _id: new mongoose.Types.ObjectId() },
+    targetType,
+    target,
+    reason: 'spam'
+  });
+
+  beforeEach(() => {
+    reports = [];
+    jest.spyOn(Report, 'create').mockImplementation(async (doc) => {
+      const created = { ...doc, status: 'open', triggeredHide: false, save: jest.fn() };
+      reports.push(created);
+      return created;
+    });
+    jest.spyOn(Report, 'countDocuments').mockImplementation(async ({ target, status }) => (
+      reports.filter(open => open.target.equals(target) && open.status === status).length
+    ));
+    jest.spyOn(Post, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.REPORT_HIDE_THRESHOLD;
+  });
+
+  it('hides a post once open reports reach the threshold', async () => {
+    process.env.REPORT_HIDE_THRESHOLD = '3';
+    const post = { _id: new mongoose.Types.ObjectId() };
+
+    await report(post);
+    await report(post);
+    expect(Post.updateOne).not.toHaveBeenCalled();
+
+    const third = await report(post);
+    expect(Post.updateOne).toHaveBeenCalledWith(
+      { _id: post._id, hiddenAt: null },
+      { hiddenAt: expect.any(Date) }
+    );
+    expect(third.triggeredHide).toBe(true);
+    expect(third.save).toHaveBeenCalled();
+    expect(reports.filter(filed => filed.triggeredHide)).toHaveLength(1);
+  });
+
+  it('does not credit a report for hiding a post that was already hidden', async () => {
+    process.env.REPORT_HIDE_THRESHOLD = '1';
+    Post.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    const filed = await report({ _id: new mongoose.Types.ObjectId() });
+    expect(filed.triggeredHide).toBe(false);
+  });
+
+  it('only counts open reports towards the threshold', async () => {
+    process.env.REPORT_HIDE_THRESHOLD = '2';
+    const post = { _id: new mongoose.Types.ObjectId() };
+
+    const dismissed = await report(post);
+    dismissed.status = 'dismissed';
+    await report(post);
+
+    expect(Post.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('sends a hidden comment back to the moderation queue', async () => {
+    process.env.REPORT_HIDE_THRESHOLD = '1';
+    const comment = new Comment({
+      text: 'Buy now',
+      post: new mongoose.Types.ObjectId(),
+      author: new mongoose.Types.ObjectId()
+    });
+    jest.spyOn(comment, 'save').mockResolvedValue(comment);
+
+    const filed = await report(comment, 'comment');
+
+    expect(comment.moderationStatus).toBe('pending');
+    expect(comment.isApproved).toBe(false);
+    expect(filed.triggeredHide).toBe(true);
+  });
+
+  it('returns null when the user already has an open report', async () => {
+    Report.create.mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+
+    expect(await report({ _id: new mongoose.Types.ObjectId() })).toBeNull();
+  });
+
+  it('defaults the threshold to 5', () => {
+    expect(getHideThreshold()).toBe(5);
+  });
+});
+
+describe('report uniqueness', () => {
+  it('only applies to open reports, so content can be reported again after review', () => {
+    const [, options] = Report.schema.indexes().find(([fields]) => fields.reporter === 1);
+    expect(options.unique).toBe(true);
+    expect(options.partialFilterExpression).toEqual({ status: 'open' });
+  });
+});
@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const { slugify, generateUniqueSlug, slugPlugin } = require('../utils/slug');
+
+// A throwaway model with the plugin; `taken` lists the slugs other
+// documents hold, now or in their history
+const articleSchema = new mongoose.Schema({ title: String });
+articleSchema.plugin(slugPlugin, { sourceField: 'title' });
+const Article = mongoose.model('SlugTestArticle', articleSchema);
+
+let taken;
+
+const duplicateSlugError = () => Object.assign(new Error('E11000 duplicate key error'), {
+  code: 11000,
+  keyPattern: { slug: 1 }
+});
+
+describe('slugify', () => {
+  it('lowercases, strips accents and joins words with dashes', () => {
+    expect(slugify('Hello, World!')).toBe('hello-world');
+    expect(slugify('  Crème brûlée   recipes ')).toBe('creme-brulee-recipes');
+    expect(slugify('Node.js & Express')).toBe('node-js-express');
+  });
+
+  it('falls back to "untitled" when nothing is left', () => {
+    expect(slugify('')).toBe('untitled');
+    expect(slugify('!!!')).toBe('untitled');
+    expect(slugify()).toBe('untitled');
+  });
+
+  it('caps the length without leaving a trailing dash', () => {
+    const slug = slugify(`${'a'.repeat(79)} b`);
+    expect(slug).toBe('a'.repeat(79));
+    expect(slugify('word '.repeat(40)).length).toBeLessThanOrEqual(80);
+  });
+});
+
+describe('slug plugin', () => {
+  beforeEach(() => {
+    taken = new Set();
+    jest.spyOn(Article, 'exists').mockImplementation(query => ({
+      setOptions: async () => (query.$or.some(condition => taken.has(condition.slug || condition.previousSlugs))
+        ? { _id: new mongoose.Types.ObjectId() }
+        : null)
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('appends a number when the slug is taken', async () => {
+    taken.add('my-post').add('my-post-2');
+    expect(await generateUniqueSlug(Article, 'My Post')).toBe('my-post-3');
+  });
+
+  it('gives new documents a slug', async () => {
+    const article = new Article({ title: 'First Steps' });
+    await article.validate();
+    expect(article.slug).toBe('first-steps');
+  });
+
+  it('keeps the slug when the title changes', async () => {
+    const article = Article.hydrate({ _id: new mongoose.Types.ObjectId(), title: 'Old title', slug: 'old-title' });
+    article.title = 'New title';
+    await article.validate();
+
+    expect(article.slug).toBe('old-title');
+    expect(article.previousSlugs).toEqual([]);
+  });
+
+  it('moves to a new slug on request and remembers the old one', async () => {
+    const article = Article.hydrate({ _id: new mongoose.Types.ObjectId(), title: 'Old title', slug: 'old-title' });
+    article.title = 'New title';
+    article.regenerateSlug();
+    await article.validate();
+
+    expect(article.slug).toBe('new-title');
+    expect(article.previousSlugs).toEqual(['old-title']);
+  });
+
+  it('retries a create whose slug was taken meanwhile', async () => {
+    const article = new Article({ title: 'Race' });
+    const slugsTried = [];
+    jest.spyOn(article, 'save').mockImplementation(async function() {
+      await this.validate();
+      slugsTried.push(this.slug);
+      if (slugsTried.length === 1) {
+        // Another request saved "race" between our check and our insert
+        taken.add('race');
+        throw duplicateSlugError();
+      }
+      return this;
+    });
+
+    await article.saveWithUniqueSlug();
+
+    expect(slugsTried).toEqual(['race', 'race-2']);
+    expect(article.slug).toBe('race-2');
+  });
+
+  it('does not put a slug that collided into the history', async () => {
+    const article = Article.hydrate({ _id: new mongoose.Types.ObjectId(), title: 'Old', slug: 'old' });
+    article.title = 'Fresh';
+    article.regenerateSlug();
+    jest.spyOn(article, 'save').mockImplementation(async function() {
+      await this.validate();
+      if (this.slug === 'fresh') {
+        taken.add('fresh');
+        throw duplicateSlugError();
+      }
+      return this;
+    });
+
+    await article.saveWithUniqueSlug();
+
+    expect(article.slug).toBe('fresh-2');
+    expect(article.previousSlugs).toEqual(['old']);
+  });
+
+  it('gives up on other errors and after repeated collisions', async () => {
+    const article = new Article({ title: 'Busy' });
+    const save = jest.spyOn(article, 'save').mockRejectedValue(duplicateSlugError());
+    await expect(article.saveWithUniqueSlug()).rejects.toMatchObject({ code: 11000 });
+    expect(save).toHaveBeenCalledTimes(5);
+
+    const other = new Article({ title: 'Other' });
+    const failure = new Error('connection lost');
+    const otherSave = jest.spyOn(other, 'save').mockRejectedValue(failure);
+    await expect(other.saveWithUniqueSlug()).rejects.toBe(failure);
+    expect(otherSave).toHaveBeenCalledTimes(1);
+  });
+
+  it('resolves ids, current slugs and old slugs', async () => {
+    const _id = new mongoose.Types.ObjectId();
+    const stored = { _id, slug: 'current', previousSlugs: ['old'] };
+    jest.spyOn(Article, 'findOne').mockImplementation(query => ({
+      select: () => ({
+        lean: async () => {
+          const matches = (query._id && query._id.toString() === _id.toString()) ||
+            query.slug === stored.slug ||
+            stored.previousSlugs.includes(query.previousSlugs);
+          return matches ? stored : null;
+        }
+      })
+    }));
+
+    expect(await Article.resolveSlugOrId(_id.toString())).toEqual({ _id, slug: 'current', redirected: false });
+    expect(await Article.resolveSlugOrId('CURRENT')).toEqual({ _id, slug: 'current', redirected: false });
+    expect(await Article.resolveSlugOrId('old')).toEqual({ _id, slug: 'current', redirected: true });
+    expect(await Article.resolveSlugOrId('missing')).toBeNull();
+  });
+});
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { sessionChannel, subscribe } = require('../utils/events');
+const { issueStreamTicket, redeemStreamTicket } = require('../utils/streamTickets');
+
+describe('stream tickets', () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+  const session = { _id: new mongoose.Types.ObjectId() };
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('can be used once', () => {
+    const { ticket } = issueStreamTicket(user, session);
+
+    expect(redeemStreamTicket(ticket)).toEqual({ user: user._id, session: session._id });
+    expect(redeemStreamTicket(ticket)).toBeNull();
+  });
+
+  it('expire after a minute', () => {
+    jest.useFakeTimers({ now: new Date('2024-03-01T10:00:00Z') });
+    const { ticket, expiresAt } = issueStreamTicket(user, session);
+    expect(expiresAt).toEqual(new Date('2024-03-01T10:01:00Z'));
+
+    jest.setSystemTime(new Date('2024-03-01T10:01:00Z'));
+    expect(redeemStreamTicket(ticket)).toBeNull();
+  });
+
+  it('reject unknown tickets', () => {
+    expect(redeemStreamTicket('made-up')).toBeNull();
+    expect(redeemStreamTicket(undefined)).toBeNull();
+  });
+});
+
+describe('session revocation', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('tells the streams of every revoked session', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    const kept = new mongoose.Types.ObjectId();
+    const revoked = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    jest.spyOn(Session, 'distinct').mockResolvedValue(revoked);
+    const update = jest.spyOn(Session, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+    const heard = [];
+    const stops = [...revoked, kept].map(id => subscribe(sessionChannel(id), ({ event }) => heard.push([String(id), event])));
+
+    const result = await Session.revokeAllForUser(userId, kept);
+    stops.forEach(stop => stop());
+
+    expect(result.modifiedCount).toBe(2);
+    expect(update.mock.calls[0][0]).toEqual({ user: userId, revokedAt: null, _id: { $ne: kept } });
+    expect(heard).toEqual(revoked.map(id => [String(id), 'revoked']));
+  });
+
+  it('tells the stream of a single revoked session once it is saved', async () => {
+    const session = Session.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      user: new mongoose.Types.ObjectId(),
+      refreshTokenHash: 'hash',
+      expiresAt: new Date(Date.now() + 60000)
+    });
+    const steps = [];
+    jest.spyOn(session, 'save').mockImplementation(async () => steps.push('save'));
+    const stop = subscribe(sessionChannel(session._id), () => steps.push('revoked'));
+
+    await session.revoke();
+    stop();
+
+    expect(session.isActive()).toBe(false);
+    expect(steps).toEqual(['save', 'revoked']);
+  });
+});
@@ -0,0 +1,159 @@
+const express = require('express');
+const Tag = require('../models/Tag');
+const Post = require('../models/Post');
+const Follow = require('../models/Follow');
+const { normalizeTag, normalizeTags } = require('../utils/tags');
+
+jest.mock('../middleware/auth', () => {
+  const pass = (req, res, next) => next();
+  return {
+    protect: pass,
+    requirePermission: () => pass
+  };
+});
+
+jest.mock('../utils/transaction', () => ({
+  withTransaction: work => work(null)
+}));
+
+const tagRoutes = require('../routes/tags');
+
+// Tag documents the mocked queries answer from
+let curated;
+
+const mockCuratedTags = () => {
+  jest.spyOn(Tag, 'find').mockImplementation(filter => ({
+    select: () => ({
+      lean: async () => curated.filter(tag => tag.synonyms.some(synonym => filter.synonyms.$in.includes(synonym)))
+    })
+  }));
+};
+
+describe('normalizeTag', () => {
+  it('folds case, spaces, underscores and a leading #', () => {
+    expect(normalizeTag('Node JS')).toBe('node-js');
+    expect(normalizeTag('  node   js ')).toBe('node-js');
+    expect(normalizeTag('#node_js')).toBe('node-js');
+    expect(normalizeTag('--node--js--')).toBe('node-js');
+  });
+
+  it('caps tags at 30 characters', () => {
+    expect(normalizeTag('x'.repeat(40))).toHaveLength(30);
+  });
+});
+
+describe('normalizeTags', () => {
+  it('accepts arrays and comma separated strings, dropping empties and duplicates', () => {
+    expect(normalizeTags(['Node JS', 'node-js', '', '  ', 'MongoDB'])).toEqual(['node-js', 'mongodb']);
+    expect(normalizeTags('Node JS, #mongodb,,node_js')).toEqual(['node-js', 'mongodb']);
+    expect(normalizeTags(undefined)).toEqual([]);
+  });
+});
+
+describe('Tag.canonicalize', () => {
+  beforeEach(() => {
+    curated = [{ name: 'javascript', synonyms: ['js', 'ecmascript'] }];
+    mockCuratedTags();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('replaces synonyms with their canonical tag', async () => {
+    expect(await Tag.canonicalize(['JS', 'Node JS', 'ecmascript', 'javascript']))
+      .toEqual(['javascript', 'node-js']);
+  });
+
+  it('skips the lookup when there are no tags', async () => {
+    expect(await Tag.canonicalize([])).toEqual([]);
+    expect(Tag.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('merging tags', () => {
+  let server;
+  let baseUrl;
+  let steps;
+  let posts;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/tags', tagRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/tags`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    curated = [];
+    steps = [];
+    posts = [
+      { id: 'a', tags: ['nodejs', 'express'] },
+      { id: 'b', tags: ['node', 'nodejs'] },
+      { id: 'c', tags: ['mongodb'] }
+    ];
+    mockCuratedTags();
+
+    const sourceTag = Tag.hydrate({ name: 'nodejs', synonyms: ['node'] });
+    jest.spyOn(Tag, 'findOne').mockImplementation(async ({ name }) => (name === 'nodejs' ? sourceTag : null));
+    jest.spyOn(Tag.prototype, 'save').mockImplementation(async function() {
+      steps.push(`save ${this.name}`);
+      return this;
+    });
+    jest.spyOn(Tag.prototype, 'deleteOne').mockImplementation(async function() {
+      steps.push(`delete ${this.name}`);
+      return this;
+    });
+
+    jest.spyOn(Post, 'updateMany').mockImplementation(async (filter, update) => {
+      const matched = posts.filter(post => post.tags.some(tag => filter.tags.$in.includes(tag)));
+      matched.forEach(post => {
+        if (update.$addToSet) {
+          post.tags = [...new Set([...post.tags, update.$addToSet.tags])];
+        } else {
+          post.tags = post.tags.filter(tag => !update.$pull.tags.$in.includes(tag));
+        }
+      });
+      steps.push('retag posts');
+      return { matchedCount: matched.length };
+    });
+    jest.spyOn(Follow, 'distinct').mockReturnValue({ session: async () => [] });
+    jest.spyOn(Follow, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('saves the target before deleting the source, then retags posts', async () => {
+    const res = await fetch(`${baseUrl}/NodeJS/merge`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ into: 'Node JS' })
+    });
+    const body = await res.json();
+
+    expect(res.status).toBe(200);
+    expect(steps.slice(0, 2)).toEqual(['save node-js', 'delete nodejs']);
+    expect(body.data.tag).toMatchObject({ name: 'node-js', synonyms: ['nodejs', 'node'] });
+    expect(body.data.postsUpdated).toBe(2);
+    expect(posts.map(post => post.tags)).toEqual([['express', 'node-js'], ['node-js'], ['mongodb']]);
+  });
+
+  it('refuses to merge a tag into itself', async () => {
+    const res = await fetch(`${baseUrl}/node-js/merge`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ into: 'Node JS' })
+    });
+
+    expect(res.status).toBe(400);
+    expect(steps).toEqual([]);
+  });
+});
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { hashToken, generateToken, createSession, rotateSession } = require('../utils/tokens');
+
+const fakeUser = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  getSignedJwtToken: sessionId => `jwt-for-${sessionId}`
+});
+
+const fakeRequest = () => ({
+  ip: '203.0.113.7',
+  get: header => (header === 'user-agent' ? 'jest' : undefined)
+});
+
+describe('hashToken and generateToken', () => {
+  it('hashes the same token to the same value', () => {
+    expect(hashToken('abc')).toBe(hashToken('abc'));
+    expect(hashToken('abc')).not.toBe(hashToken('abd'));
+    expect(hashToken('abc')).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it('generates distinct random hex tokens', () => {
+    const token = generateToken();
+    expect(token).toMatch(/^[0-9a-f]{80}$/);
+    expect(generateToken()).not.toBe(token);
+  });
+});
+
+describe('createSession', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.REFRESH_TOKEN_EXPIRE_DAYS;
+  });
+
+  it('stores only the hash of the refresh token it returns', async () => {
+    process.env.REFRESH_TOKEN_EXPIRE_DAYS = '7';
+    const sessionId = new mongoose.Types.ObjectId();
+    const create = jest.spyOn(Session, 'create').mockImplementation(async doc => ({ _id: sessionId, ...doc }));
+    const user = fakeUser();
+
+    const before = Date.now();
+    const { token, refreshToken } = await createSession(user, fakeRequest());
+
+    const stored = create.mock.calls[0][0];
+    expect(token).toBe(`jwt-for-${sessionId}`);
+    expect(stored.user).toBe(user._id);
+    expect(stored.refreshTokenHash).toBe(hashToken(refreshToken));
+    expect(stored.refreshTokenHash).not.toBe(refreshToken);
+    expect(stored.userAgent).toBe('jest');
+    expect(stored.ip).toBe('203.0.113.7');
+    expect(stored.expiresAt.getTime() - before).toBeGreaterThanOrEqual(7 * 24 * 60 * 60 * 1000);
+    expect(stored.expiresAt.getTime() - before).toBeLessThan(8 * 24 * 60 * 60 * 1000);
+  });
+});
+
+describe('rotateSession', () => {
+  const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+  let session;
+
+  beforeEach(() => {
+    session = {
+      _id: new mongoose.Types.ObjectId(),
+      refreshTokenHash: hashToken('old-token'),
+      expiresAt
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('swaps the refresh token only if it is still the current one', async () => {
+    const update = jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (filter, changes) => ({
+      ...session,
+      ...changes
+    }));
+
+    const rotated = await rotateSession(session, fakeUser());
+
+    const [filter, changes] = update.mock.calls[0];
+    expect(filter._id).toBe(session._id);
+    expect(filter.refreshTokenHash).toBe(hashToken('old-token'));
+    expect(filter.revokedAt).toBeNull();
+    expect(filter.expiresAt.$gt).toBeInstanceOf(Date);
+
+    expect(changes.previousTokenHash).toBe(hashToken('old-token'));
+    expect(changes.refreshTokenHash).toBe(hashToken(rotated.refreshToken));
+    expect(rotated.token).toBe(`jwt-for-${session._id}`);
+  });
+
+  it('keeps the session expiry so refreshing cannot extend it', async () => {
+    const update = jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(session);
+
+    await rotateSession(session, fakeUser());
+
+    expect(update.mock.calls[0][1]).not.toHaveProperty('expiresAt');
+  });
+
+  it('returns null when another request rotated the token first', async () => {
+    jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(null);
+
+    expect(await rotateSession(session, fakeUser())).toBeNull();
+  });
+});
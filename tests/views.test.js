@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const PostView = require('../models/PostView');
+const PostDailyStat = require('../models/PostDailyStat');
+const { recordView } = require('../utils/views');
+
+const fakeRequest = ({ user = null, ip = '198.51.100.4', userAgent = 'Mozilla/5.0', referer } = {}) => ({
+  user,
+  ip,
+  get: (header) => ({ 'user-agent': userAgent, referer })[header]
+});
+
+describe('recordView', () => {
+  const authorId = new mongoose.Types.ObjectId();
+  let post;
+  let views;
+
+  beforeEach(() => {
+    post = { _id: new mongoose.Types.ObjectId(), author: authorId };
+    views = [];
+
+    // PostView's unique index keeps one view per post, visitor and window
+    jest.spyOn(PostView, 'updateOne').mockImplementation(async (filter, update) => {
+      const exists = views.some(view => view.visitor === filter.visitor && view.bucket === filter.bucket);
+      if (exists) {
+        return { upsertedCount: 0 };
+      }
+      views.push({ ...filter, ...update.$setOnInsert });
+      return { upsertedCount: 1 };
+    });
+    jest.spyOn(PostView, 'countDocuments').mockImplementation(async ({ visitor, day }) => (
+      views.filter(view => view.visitor === visitor && view.day === day).length
+    ));
+    jest.spyOn(PostDailyStat, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Post, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    delete process.env.VIEW_DEDUPE_MINUTES;
+  });
+
+  it('counts a visitor once per dedupe window', async () => {
+    jest.useFakeTimers({ now: new Date('2024-03-01T10:00:00Z') });
+
+    expect(await recordView(post, fakeRequest())).toBe(true);
+    expect(await recordView(post, fakeRequest())).toBe(false);
+    expect(Post.updateOne).toHaveBeenCalledTimes(1);
+
+    jest.setSystemTime(new Date('2024-03-01T10:45:00Z'));
+    expect(await recordView(post, fakeRequest())).toBe(true);
+
+    // Only the first view of the day adds a unique visitor
+    const increments = PostDailyStat.updateOne.mock.calls.map(([, update]) => update.$inc);
+    expect(increments).toEqual([{ views: 1, uniqueVisitors: 1 }, { views: 1, uniqueVisitors: 0 }]);
+  });
+
+  it('uses VIEW_DEDUPE_MINUTES for the window', async () => {
+    process.env.VIEW_DEDUPE_MINUTES = '5';
+    jest.useFakeTimers({ now: new Date('2024-03-01T10:00:00Z') });
+
+    expect(await recordView(post, fakeRequest())).toBe(true);
+    jest.setSystemTime(new Date('2024-03-01T10:06:00Z'));
+    expect(await recordView(post, fakeRequest())).toBe(true);
+  });
+
+  it('tells anonymous visitors apart by address and browser', async () => {
+    expect(await recordView(post, fakeRequest({ ip: '198.51.100.4' }))).toBe(true);
+    expect(await recordView(post, fakeRequest({ ip: '198.51.100.5' }))).toBe(true);
+    expect(await recordView(post, fakeRequest({ ip: '198.51.100.4', userAgent: 'Safari' }))).toBe(true);
+    expect(views.every(view => !view.visitor.includes('198.51.100'))).toBe(true);
+  });
+
+  it('ignores bots, requests without a user agent and the author', async () => {
+    expect(await recordView(post, fakeRequest({ userAgent: 'Googlebot/2.1' }))).toBe(false);
+    expect(await recordView(post, fakeRequest({ userAgent: '' }))).toBe(false);
+    expect(await recordView(post, fakeRequest({ user: { _id: authorId } }))).toBe(false);
+    expect(PostView.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('keeps only the referrer host', async () => {
+    await recordView(post, fakeRequest({ referer: 'https://news.example.com/item?id=1' }));
+    await recordView(post, fakeRequest({ ip: '203.0.113.9' }));
+
+    expect(views.map(view => view.referrer)).toEqual(['news.example.com', 'direct']);
+  });
+});
@@ -0,0 +1,112 @@
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Session = require('../models/Session');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const PostRevision = require('../models/PostRevision');
+const PostReaction = require('../models/PostReaction');
+const Bookmark = require('../models/Bookmark');
+const Follow = require('../models/Follow');
+const Notification = require('../models/Notification');
+const Report = require('../models/Report');
+const Series = require('../models/Series');
+const { generateToken } = require('./tokens');
+const { withTransaction } = require('./transaction');
+
+// Account that anonymized content is credited to
+const DELETED_USER_EMAIL = 'deleted-user@blogging-platform.local';
+
+// Find or create the inactive placeholder account for deleted users
+const getDeletedUserPlaceholder = async (session) => {
+  const existing = await User.findOne({ email: DELETED_USER_EMAIL }).session(session);
+  if (existing) {
+    return existing;
+  }
+
+  const role = await Role.findOne({ name: 'user' }).session(session);
+  if (!role) {
+    throw new Error('The "user" role is needed for the deleted user placeholder');
+  }
+  const [placeholder] = await User.create([{
+    name: 'Deleted user',
+    email: DELETED_USER_EMAIL,
+    password: generateToken(),
+    role: role._id,
+    isActive: false
+  }], { session });
+  return placeholder;
+};
+
+// Undo a user's likes, reactions and bookmarks, keeping the counters on
+// posts and comments in step
+const removeEngagement = async (userId, session) => {
+  await Comment.updateMany(
+    { likes: userId },
+    [
+      { $set: { likes: { $filter: { input: '$likes', cond: { $ne: ['$$this', userId] } } } } },
+      { $set: { likesCount: { $size: '$likes' } } }
+    ],
+    { session }
+  );
+
+  const reactions = await PostReaction.find({ user: userId }).session(session);
+  for (const reaction of reactions) {
+    await Post.updateOne(
+      { _id: reaction.post },
+      { $inc: { [`reactionCounts.${reaction.type}`]: -1 } },
+      { session }
+    );
+  }
+  await PostReaction.deleteMany({ user: userId }, { session });
+
+  const bookmarkedPostIds = await Bookmark.distinct('post', { user: userId }).session(session);
+  await Post.updateMany({ _id: { $in: bookmarkedPostIds } }, { $inc: { bookmarksCount: -1 } }, { session });
+  await Bookmark.deleteMany({ user: userId }, { session });
+};
+
+// Delete a user account in one transaction. Their posts either move to
+// `transferTo` or, like their comments, are credited to a "Deleted user"
+// placeholder; everything personal (sessions, follows, reactions,
+// bookmarks, notifications, reports) is removed. Returns a summary.
+const deleteUserAccount = async (user, { transferTo = null } = {}) => {
+  const sessionIds = await Session.distinct('_id', { user: user._id });
+
+  const summary = await withTransaction(async (session) => {
+    const placeholder = await getDeletedUserPlaceholder(session);
+    const postOwner = transferTo ? transferTo._id : placeholder._id;
+
+    const posts = await Post.updateMany({ author: user._id }, { author: postOwner }, { session });
+    await PostRevision.updateMany({ author: user._id }, { author: postOwner }, { session });
+    await Series.updateMany({ author: user._id }, { author: postOwner }, { session });
+    const comments = await Comment.updateMany({ author: user._id }, { author: placeholder._id }, { session });
+
+    await removeEngagement(user._id, session);
+
+    await Follow.deleteMany({
+      $or: [
+        { follower: user._id },
+        { type: 'user', target: user._id }
+      ]
+    }, { session });
+    await Notification.deleteMany({ recipient: user._id }, { session });
+    await Notification.updateMany({ actor: user._id }, { actor: null }, { session });
+    await Report.deleteMany({ reporter: user._id }, { session });
+    await Session.deleteMany({ user: user._id }, { session });
+    await User.deleteOne({ _id: user._id }, { session });
+
+    return {
+      posts: posts.modifiedCount,
+      postsTransferredTo: transferTo ? transferTo._id : null,
+      commentsAnonymized: comments.modifiedCount
+    };
+  });
+
+  // Close the account's live streams once it is really gone
+  Session.announceRevoked(sessionIds);
+  return summary;
+};
+
+module.exports = {
+  DELETED_USER_EMAIL,
+  deleteUserAccount
+};
@@ -0,0 +1,134 @@
+const Comment = require('../models/Comment');
+
+// Orders a thread can be read in
+const COMMENT_SORTS = {
+  newest: { field: 'createdAt', direction: -1 },
+  oldest: { field: 'createdAt', direction: 1 },
+  top: { field: 'likesCount', direction: -1 }
+};
+
+// Shown in place of a deleted comment that still has replies
+const DELETED_TEXT = '[deleted]';
+
+// Deepest level a reply may sit at; top-level comments are level 0
+const getMaxDepth = () => {
+  const maxDepth = parseInt(process.env.COMMENT_MAX_DEPTH, 10);
+  return Number.isNaN(maxDepth) ? 5 : maxDepth;
+};
+
+// Tree node for a comment; deleted comments become placeholders
+const toNode = (comment, depth) => {
+  if (comment.deletedAt) {
+    return {
+      id: comment._id,
+      text: DELETED_TEXT,
+      author: null,
+      parentComment: comment.parentComment,
+      depth,
+      likes: 0,
+      isEdited: false,
+      isDeleted: true,
+      createdAt: comment.createdAt,
+      updatedAt: comment.deletedAt
+    };
+  }
+
+  return {
+    id: comment._id,
+    text: comment.text,
+    author: {
+      id: comment.author._id,
+      name: comment.author.name,
+      avatar: comment.author.avatar
+    },
+    parentComment: comment.parentComment,
+    depth,
+    likes: comment.likes.length,
+    isEdited: comment.isEdited,
+    isDeleted: false,
+    createdAt: comment.createdAt,
+    updatedAt: comment.updatedAt
+  };
+};
+
+// Load the first `repliesLimit` approved replies of each parent, then
+// theirs, until `levels` levels have been loaded. Replies below the last
+// level are only counted. Returns a map from parent id to
+// { replies, total }.
+const loadReplies = async (parentIds, { levels, depth, repliesLimit, sort }) => {
+  const byParent = new Map();
+  if (parentIds.length === 0) {
+    return byParent;
+  }
+
+  const match = { parentComment: { $in: parentIds }, isApproved: true, ...Comment.threadFilter() };
+
+  if (levels <= 0) {
+    const counts = await Comment.aggregate([
+      { $match: match },
+      { $group: { _id: '$parentComment', total: { $sum: 1 } } }
+    ]).option({ withDeleted: true });
+    counts.forEach(count => byParent.set(count._id.toString(), { total: count.total, replies: [] }));
+    return byParent;
+  }
+
+  const groups = await Comment.aggregate([
+    { $match: match },
+    { $sort: { [sort.field]: sort.direction, _id: sort.direction } },
+    { $group: { _id: '$parentComment', ids: { $push: '$_id' }, total: { $sum: 1 } } },
+    { $project: { ids: { $slice: ['$ids', repliesLimit] }, total: 1 } }
+  ]).option({ withDeleted: true });
+
+  const ids = groups.flatMap(group => group.ids);
+  const replies = await Comment.find({ _id: { $in: ids } })
+    .setOptions({ withDeleted: true })
+    .populate('author', 'name avatar');
+  const byId = new Map(replies.map(reply => [reply._id.toString(), reply]));
+
+  const nested = await loadReplies(ids, { levels: levels - 1, depth: depth + 1, repliesLimit, sort });
+
+  groups.forEach(group => {
+    byParent.set(group._id.toString(), {
+      total: group.total,
+      replies: group.ids
+        .map(id => byId.get(id.toString()))
+        .filter(reply => reply && reply.author)
+        .map(reply => attachReplies(toNode(reply, depth), nested))
+    });
+  });
+
+  return byParent;
+};
+
+// Add a node's loaded replies and whether more are waiting; clients
+// fetch the rest with ?parent=<id>
+const attachReplies = (node, byParent) => {
+  const loaded = byParent.get(node.id.toString()) || { total: 0, replies: [] };
+
+  return {
+    ...node,
+    replies: loaded.replies,
+    replyCount: loaded.total,
+    hasMoreReplies: loaded.total > loaded.replies.length
+  };
+};
+
+// Turn a page of comments at `depth` into trees `levels` levels deep
+const buildTree = async (comments, { depth, levels, repliesLimit, sort }) => {
+  const visible = comments.filter(comment => comment.author);
+  const byParent = await loadReplies(visible.map(comment => comment._id), {
+    levels,
+    depth: depth + 1,
+    repliesLimit,
+    sort
+  });
+
+  return visible.map(comment => attachReplies(toNode(comment, depth), byParent));
+};
+
+module.exports = {
+  DELETED_TEXT,
+  COMMENT_SORTS,
+  getMaxDepth,
+  buildTree
+};
@@ -0,0 +1,121 @@
+const Comment = require('../models/Comment');
+const escapeRegex = require('./escapeRegex');
+
+// Content filters score a comment for how likely it is to be spam or
+// abuse. Each filter is an async function receiving
+// { text, user, post, comment } (comment is set on edits) and returning
+// a list of flags: { reason, score }. Comments whose total score reaches
+// COMMENT_SPAM_THRESHOLD are held for moderation instead of published.
+const filters = [];
+
+const HOUR = 60 * 60 * 1000;
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+const SPAM_PHRASES = [
+  'buy now',
+  'click here',
+  'free money',
+  'work from home',
+  'limited time offer',
+  'casino',
+  'viagra',
+  'crypto giveaway'
+];
+
+const getThreshold = () => parseInt(process.env.COMMENT_SPAM_THRESHOLD, 10) || 5;
+
+const getBannedWords = () => (process.env.COMMENT_BANNED_WORDS || '')
+  .split(',')
+  .map(word => word.trim().toLowerCase())
+  .filter(Boolean);
+
+// Add a filter to the pipeline
+const registerContentFilter = (name, filter) => {
+  filters.push({ name, filter });
+};
+
+// Words from the configured banned list
+registerContentFilter('bannedWords', async ({ text }) => getBannedWords()
+  .filter(word => new RegExp(`(^|\\W)${escapeRegex(word)}($|\\W)`, 'i').test(text))
+  .map(word => ({ reason: `Contains banned word "${word}"`, score: getThreshold() })));
+
+// More links than COMMENT_MAX_LINKS
+registerContentFilter('links', async ({ text }) => {
+  const maxLinks = parseInt(process.env.COMMENT_MAX_LINKS, 10);
+  const limit = Number.isNaN(maxLinks) ? 2 : maxLinks;
+  const links = (text.match(LINK_PATTERN) || []).length;
+
+  return links > limit
+    ? [{ reason: `Contains ${links} links (limit ${limit})`, score: 3 + links - limit }]
+    : [];
+});
+
+// The same user posting the same text again within the duplicate window
+registerContentFilter('duplicate', async ({ text, user, comment }) => {
+  const minutes = parseInt(process.env.COMMENT_DUPLICATE_WINDOW_MINUTES, 10) || 60;
+  const normalized = text.trim().replace(/\s+/g, ' ');
+
+  const duplicate = await Comment.exists({
+    author: user._id,
+    _id: { $ne: comment ? comment._id : null },
+    createdAt: { $gte: new Date(Date.now() - minutes * 60 * 1000) },
+    text: { $regex: `^\\s*${escapeRegex(normalized).replace(/ /g, '\\s+')}\\s*$`, $options: 'i' }
+  });
+
+  return duplicate
+    ? [{ reason: `Duplicate of a comment posted in the last ${minutes} minutes`, score: getThreshold() }]
+    : [];
+});
+
+// Assorted signals that are weak on their own but add up
+registerContentFilter('heuristics', async ({ text, user }) => {
+  const flags = [];
+  const lower = text.toLowerCase();
+
+  const letters = text.replace(/[^a-z]/gi, '');
+  if (letters.length >= 20 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.7) {
+    flags.push({ reason: 'Mostly capital letters', score: 2 });
+  }
+
+  if (/(.)\1{5,}/.test(text)) {
+    flags.push({ reason: 'Long runs of repeated characters', score: 1 });
+  }
+
+  if (/[!?]{4,}/.test(text)) {
+    flags.push({ reason: 'Excessive punctuation', score: 1 });
+  }
+
+  SPAM_PHRASES
+    .filter(phrase => lower.includes(phrase))
+    .forEach(phrase => flags.push({ reason: `Contains spam phrase "${phrase}"`, score: 2 }));
+
+  const accountAge = Date.now() - new Date(user.createdAt).getTime();
+  if (accountAge < 24 * HOUR && text.match(LINK_PATTERN)) {
+    flags.push({ reason: 'Link posted by an account less than a day old', score: 2 });
+  }
+
+  return flags;
+});
+
+// Run every filter over a comment. Returns the total score, the flags
+// raised and whether the comment should be held for moderation.
+const checkComment = async (context) => {
+  const flags = [];
+
+  for (const { name, filter } of filters) {
+    const raised = await filter(context);
+    raised.forEach(flag => flags.push({ filter: name, ...flag }));
+  }
+
+  const score = flags.reduce((sum, flag) => sum + flag.score, 0);
+
+  return {
+    score,
+    flags,
+    hold: score >= getThreshold()
+  };
+};
+
+module.exports = {
+  registerContentFilter,
+  checkComment
+};
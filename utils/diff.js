@@ -0,0 +1,86 @@
+// Largest LCS table (old lines x new lines) built for the changed middle
+// of two texts; anything bigger is reported as a whole-block replacement
+// so huge posts can't exhaust memory
+const MAX_DIFF_CELLS = 1000000;
+
+// Line-level diff between two strings using a longest common subsequence
+// table. Returns an array of { type, line } entries where type is one of
+// 'unchanged', 'removed' or 'added'.
+const diffLines = (oldText = '', newText = '') => {
+  const oldLines = oldText ? oldText.split('\n') : [];
+  const newLines = newText ? newText.split('\n') : [];
+
+  // Lines shared at the start and end never need the table
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < oldLines.length - prefix &&
+    suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const a = oldLines.slice(prefix, oldLines.length - suffix);
+  const b = newLines.slice(prefix, newLines.length - suffix);
+  const unchanged = lines => lines.map(line => ({ type: 'unchanged', line }));
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...unchanged(oldLines.slice(0, prefix)),
+      ...a.map(line => ({ type: 'removed', line })),
+      ...b.map(line => ({ type: 'added', line })),
+      ...unchanged(oldLines.slice(oldLines.length - suffix))
+    ];
+  }
+
+  // lcs[i][j] is the LCS length of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const changes = unchanged(oldLines.slice(0, prefix));
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      changes.push({ type: 'unchanged', line: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      changes.push({ type: 'removed', line: a[i] });
+      i++;
+    } else {
+      changes.push({ type: 'added', line: b[j] });
+      j++;
+    }
+  }
+  while (i < a.length) {
+    changes.push({ type: 'removed', line: a[i++] });
+  }
+  while (j < b.length) {
+    changes.push({ type: 'added', line: b[j++] });
+  }
+
+  return changes.concat(unchanged(oldLines.slice(oldLines.length - suffix)));
+};
+
+// Summarise a diff as counts of added and removed lines
+const summarizeDiff = (changes) => ({
+  added: changes.filter(change => change.type === 'added').length,
+  removed: changes.filter(change => change.type === 'removed').length
+});
+
+module.exports = {
+  MAX_DIFF_CELLS,
+  diffLines,
+  summarizeDiff
+};
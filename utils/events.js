@@ -0,0 +1,31 @@
+const { EventEmitter } = require('events');
+
+// In-process bus carrying live updates to streaming clients. Channels are
+// named after what they concern, e.g. `post:<id>` or `user:<id>`.
+const bus = new EventEmitter();
+
+// Every open stream adds a listener, so don't warn at the default of 10
+bus.setMaxListeners(0);
+
+const postChannel = (postId) => `post:${postId}`;
+const userChannel = (userId) => `user:${userId}`;
+const sessionChannel = (sessionId) => `session:${sessionId}`;
+
+// Send an event to everyone subscribed to a channel
+const publish = (channel, event, data) => {
+  bus.emit(channel, { event, data });
+};
+
+// Listen on a channel; returns a function that stops listening
+const subscribe = (channel, listener) => {
+  bus.on(channel, listener);
+  return () => bus.off(channel, listener);
+};
+
+module.exports = {
+  postChannel,
+  userChannel,
+  sessionChannel,
+  publish,
+  subscribe
+};
@@ -0,0 +1,66 @@
+const escapeRegex = require('./escapeRegex');
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Pull the positive search terms out of a $text-style query string,
+// ignoring negated terms (-word) and keeping quoted phrases together
+const extractTerms = (query = '') => {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(query)) !== null) {
+    const negated = match[1] || match[3];
+    const term = (match[2] || match[4] || '').trim();
+    if (!negated && term) {
+      terms.push(term.toLowerCase());
+    }
+  }
+
+  return [...new Set(terms)];
+};
+
+const buildTermPattern = (terms) => new RegExp(`(${terms.map(escapeRegex).join('|')})`, 'gi');
+
+// HTML-escape text and wrap every occurrence of the terms in <mark> tags
+const highlight = (text = '', terms = []) => {
+  if (!text || terms.length === 0) {
+    return escapeHtml(text || '');
+  }
+
+  return String(text)
+    .split(buildTermPattern(terms))
+    .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+};
+
+// Cut a window of text around the first term match and highlight it
+const buildSnippet = (text = '', terms = [], radius = 80) => {
+  if (!text) {
+    return '';
+  }
+
+  const source = String(text);
+  const match = terms.length > 0 ? buildTermPattern(terms).exec(source) : null;
+  const position = match ? match.index : 0;
+
+  const start = Math.max(0, position - radius);
+  const end = Math.min(source.length, position + radius * 2);
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < source.length ? '…' : '';
+
+  return `${prefix}${highlight(source.slice(start, end), terms)}${suffix}`;
+};
+
+module.exports = {
+  escapeHtml,
+  extractTerms,
+  highlight,
+  buildSnippet
+};
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+
+// Built-in transports. Each one receives a message object
+// ({ from, to, subject, text }) and returns a promise.
+const transports = {
+  // Print messages to the console (default for development)
+  console: async (message) => {
+    console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+  },
+
+  // Write each message as a JSON file, handy for tests and local inspection
+  file: async (message) => {
+    const dir = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'tmp', 'mail');
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    await fs.promises.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+  }
+};
+
+let customTransport = null;
+
+// Plug in a custom transport (e.g. an SMTP or API client, or a test spy)
+const setTransport = (transport) => {
+  customTransport = transport;
+};
+
+const getTransport = () => {
+  if (customTransport) {
+    return customTransport;
+  }
+
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  if (!transports[name]) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transports[name];
+};
+
+// Absolute link to a path on this API. Links in emails are built from the
+// configured APP_URL, never from the request's Host header, which a caller
+// could forge to point reset links at their own site.
+const buildAppUrl = (pathname) => {
+  const base = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  return `${base}${pathname}`;
+};
+
+// Send an email through the configured transport
+const sendEmail = async ({ to, subject, text }) => {
+  const transport = getTransport();
+
+  await transport({
+    from: process.env.MAIL_FROM || 'no-reply@blogging-platform.local',
+    to,
+    subject,
+    text
+  });
+};
+
+module.exports = {
+  buildAppUrl,
+  sendEmail,
+  setTransport
+};
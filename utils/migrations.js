@@ -0,0 +1,150 @@
+const Post = require('../models/Post');
+const Report = require('../models/Report');
+const Category = require('../models/Category');
+const Comment = require('../models/Comment');
+const Series = require('../models/Series');
+const Tag = require('../models/Tag');
+const User = require('../models/User');
+const { generateUniqueSlug } = require('./slug');
+
+// Tags normalizeTag would still change: case, spaces, underscores, a
+// leading #, stray dashes or too many characters
+const NON_CANONICAL_TAG = /[A-Z\s_]|^#|^-|-$|--|^.{31}/;
+
+const MAX_SLUG_ATTEMPTS = 5;
+
+// Give every document of a slugged model that lacks one a unique slug,
+// retrying when a document saved meanwhile took it
+const backfillSlugs = async (Model, sourceField) => {
+  const docs = await Model.find({ slug: null }).setOptions({ withDeleted: true }).select(sourceField).lean();
+
+  for (const doc of docs) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const slug = await generateUniqueSlug(Model, doc[sourceField], doc._id);
+        await Model.updateOne({ _id: doc._id, slug: null }, { slug });
+        break;
+      } catch (err) {
+        if (err.code !== 11000 || attempt >= MAX_SLUG_ATTEMPTS) {
+          throw err;
+        }
+      }
+    }
+  }
+  return docs.length;
+};
+
+// Backfills for fields added after data already existed. Each one only
+// touches documents that still need it, so they are safe to run on every
+// start.
+const MIGRATIONS = [
+  {
+    // Feeds and listings sort on publishedAt, which older posts lack;
+    // scheduled posts carry their publish time in it
+    name: 'post-published-at',
+    run: async () => {
+      const published = await Post.updateMany(
+        { status: 'published', publishedAt: null },
+        [{ $set: { publishedAt: { $ifNull: ['$publishAt', '$createdAt'] } } }]
+      );
+      const scheduled = await Post.updateMany(
+        { status: 'scheduled', publishedAt: null, publishAt: { $ne: null } },
+        [{ $set: { publishedAt: '$publishAt' } }]
+      );
+      return published.modifiedCount + scheduled.modifiedCount;
+    }
+  },
+  {
+    // Accounts from before email verification existed count as verified,
+    // so REQUIRE_EMAIL_VERIFICATION=true doesn't lock them out
+    name: 'user-email-verified',
+    run: async () => {
+      const result = await User.updateMany(
+        { isEmailVerified: { $exists: false } },
+        { $set: { isEmailVerified: true } }
+      );
+      return result.modifiedCount;
+    }
+  },
+  {
+    // Posts from before tag canonicalization keep tags as typed, which
+    // tag filters and the tag cloud no longer match; every tag in use also
+    // needs its Tag document
+    name: 'post-tags-canonical',
+    run: async () => {
+      const synonyms = await Tag.distinct('synonyms');
+      const posts = await Post.find({
+        $or: [{ tags: NON_CANONICAL_TAG }, { tags: { $in: synonyms } }]
+      }).setOptions({ withDeleted: true }).select('tags').lean();
+
+      for (const post of posts) {
+        await Post.updateOne({ _id: post._id }, { tags: await Tag.canonicalize(post.tags) });
+      }
+
+      const inUse = await Post.distinct('tags').setOptions({ withDeleted: true });
+      const known = new Set(await Tag.distinct('name', { name: { $in: inUse } }));
+      const missing = inUse.filter(name => !known.has(name));
+      await Tag.register(missing);
+
+      return posts.length + missing.length;
+    }
+  },
+  {
+    // sort=top on comment threads ranks by likesCount, which older
+    // comments lack
+    name: 'comment-likes-count',
+    run: async () => {
+      const result = await Comment.updateMany(
+        { likesCount: { $exists: false } },
+        [{ $set: { likesCount: { $size: { $ifNull: ['$likes', []] } } } }]
+      );
+      return result.modifiedCount;
+    }
+  },
+  {
+    // Posts, categories and series from before slugs existed can only be
+    // reached by id
+    name: 'slugs',
+    run: async () => {
+      const posts = await backfillSlugs(Post, 'title');
+      const categories = await backfillSlugs(Category, 'name');
+      const series = await backfillSlugs(Series, 'title');
+      return posts + categories + series;
+    }
+  },
+  {
+    // The unique index on reports used to cover closed reports too, which
+    // kept users from reporting content again after a dismissal
+    name: 'report-unique-open',
+    run: async () => {
+      try {
+        await Report.collection.dropIndex('reporter_1_targetType_1_target_1');
+      } catch (err) {
+        // Already gone (IndexNotFound) or no reports collection yet
+        if (err.codeName !== 'IndexNotFound' && err.codeName !== 'NamespaceNotFound') {
+          throw err;
+        }
+        return 0;
+      }
+      await Report.createIndexes();
+      return 1;
+    }
+  }
+];
+
+// Run every migration in order; returns { name: documentsUpdated }
+const runMigrations = async () => {
+  const results = {};
+  for (const migration of MIGRATIONS) {
+    results[migration.name] = await migration.run();
+    if (results[migration.name] > 0) {
+      console.log(`Migration ${migration.name} updated ${results[migration.name]} document(s)`);
+    }
+  }
+  return results;
+};
+
+module.exports = {
+  MIGRATIONS,
+  runMigrations
+};
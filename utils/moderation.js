@@ -0,0 +1,156 @@
+const Category = require('../models/Category');
+const Post = require('../models/Post');
+const { hasPermission } = require('./permissions');
+const { notify } = require('./notifications');
+const { postChannel, publish } = require('./events');
+const { checkComment } = require('./contentFilter');
+
+// Whether new comments on a post wait for a moderator. The post's own
+// setting wins, then its category's, then COMMENT_PREMODERATION.
+// Moderators' own comments never wait.
+const requiresPreModeration = async (post, user) => {
+  if (user && hasPermission(user, 'comments:moderate')) {
+    return false;
+  }
+
+  if (typeof post.premoderateComments === 'boolean') {
+    return post.premoderateComments;
+  }
+
+  const category = await Category.findById(post.category).select('premoderateComments');
+  if (category && typeof category.premoderateComments === 'boolean') {
+    return category.premoderateComments;
+  }
+
+  return process.env.COMMENT_PREMODERATION === 'true';
+};
+
+// Run the content filters over a comment being written. Moderators'
+// comments are trusted and skip them.
+const screenComment = async (context) => {
+  if (hasPermission(context.user, 'comments:moderate')) {
+    return { score: 0, flags: [], hold: false };
+  }
+  return checkComment(context);
+};
+
+// Payload for live comment events; expects the author to be populated
+const toCommentEvent = (comment) => ({
+  id: comment._id,
+  post: comment.post,
+  parentComment: comment.parentComment,
+  text: comment.text,
+  author: {
+    id: comment.author._id,
+    name: comment.author.name,
+    avatar: comment.author.avatar
+  },
+  likes: comment.likes.length,
+  isEdited: comment.isEdited,
+  createdAt: comment.createdAt,
+  updatedAt: comment.updatedAt
+});
+
+// A comment became visible: show it to live readers and let the parent
+// comment's author and the post's author know, without notifying anyone
+// twice for the same comment
+const announceComment = async (comment, post, parentComment) => {
+  await comment.populate('author', 'name avatar');
+  publish(postChannel(post._id), 'comment:created', toCommentEvent(comment));
+
+  if (parentComment) {
+    await notify({
+      recipient: parentComment.author,
+      actor: comment.author._id,
+      type: 'comment_reply',
+      post: post._id,
+      comment: comment._id,
+      message: `${comment.author.name} replied to your comment on "${post.title}"`
+    });
+  }
+  if (!parentComment || !parentComment.author.equals(post.author)) {
+    await notify({
+      recipient: post.author,
+      actor: comment.author._id,
+      type: 'post_comment',
+      post: post._id,
+      comment: comment._id,
+      message: `${comment.author.name} commented on "${post.title}"`
+    });
+  }
+};
+
+// A comment is no longer visible to readers
+const withdrawComment = (comment) => {
+  publish(postChannel(comment.post), 'comment:deleted', {
+    id: comment._id,
+    post: comment.post,
+    parentComment: comment.parentComment
+  });
+};
+
+// Update live readers and tell the author about a saved moderation
+// decision, given the status the comment had before it. Comments approved
+// for the first time are announced as new.
+const announceModeration = async (comment, previous, moderator, reason) => {
+  const status = comment.moderationStatus;
+  if (previous === status) {
+    return;
+  }
+
+  if (status === 'approved') {
+    const post = await Post.findById(comment.post);
+    if (post) {
+      if (previous === 'pending') {
+        const Comment = comment.constructor;
+        const parentComment = comment.parentComment && await Comment.findById(comment.parentComment);
+        await announceComment(comment, post, parentComment);
+      } else {
+        await comment.populate('author', 'name avatar');
+        publish(postChannel(post._id), 'comment:created', toCommentEvent(comment));
+      }
+    }
+  } else if (previous === 'approved') {
+    withdrawComment(comment);
+  }
+
+  const authorId = comment.author._id || comment.author;
+  let message = 'A moderator approved your comment';
+  if (status === 'rejected') {
+    message = reason
+      ? `A moderator rejected your comment: ${reason}`
+      : 'A moderator rejected your comment';
+  } else if (status === 'pending') {
+    message = 'Your comment is being reviewed by a moderator';
+  }
+
+  await notify({
+    recipient: authorId,
+    actor: moderator._id,
+    type: 'comment_moderated',
+    post: comment.post,
+    comment: comment._id,
+    message: message.slice(0, 300)
+  });
+};
+
+// Approve or reject a comment, then update live readers and tell its
+// author
+const moderateComment = async (comment, status, moderator, reason) => {
+  const previous = comment.moderationStatus;
+  comment.setModeration(status, moderator._id, reason);
+  await comment.save();
+
+  await announceModeration(comment, previous, moderator, reason);
+  return comment;
+};
+
+module.exports = {
+  requiresPreModeration,
+  screenComment,
+  toCommentEvent,
+  announceComment,
+  withdrawComment,
+  announceModeration,
+  moderateComment
+};
@@ -0,0 +1,59 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { userChannel, publish } = require('./events');
+
+// Whether a user wants notifications of a type
+const wantsNotification = (user, type) => {
+  const preferences = user.notificationPreferences;
+  return !preferences || preferences.get(type) !== false;
+};
+
+// Notify a user about something another user did. Nobody is notified
+// about their own actions, and users who turned the type off are skipped.
+// Failures are logged rather than thrown so they never break the action
+// that triggered them. Live streams of the recipient get the notification
+// as it's created. Returns the notification, or null if none was sent.
+const notify = async ({ recipient, actor = null, type, post = null, comment = null, message }) => {
+  try {
+    const recipientId = recipient._id || recipient;
+    const actorId = actor && (actor._id || actor);
+    if (actorId && actorId.toString() === recipientId.toString()) {
+      return null;
+    }
+
+    const user = await User.findById(recipientId).select('isActive notificationPreferences');
+    if (!user || !user.isActive || !wantsNotification(user, type)) {
+      return null;
+    }
+
+    const notification = await Notification.create({
+      recipient: recipientId,
+      actor: actorId || null,
+      type,
+      post: post && (post._id || post),
+      comment: comment && (comment._id || comment),
+      message
+    });
+
+    publish(userChannel(recipientId), 'notification', {
+      id: notification._id,
+      type: notification.type,
+      message: notification.message,
+      actor: notification.actor,
+      post: notification.post,
+      comment: notification.comment,
+      createdAt: notification.createdAt,
+      unreadCount: await Notification.countDocuments({ recipient: recipientId, readAt: null })
+    });
+
+    return notification;
+  } catch (error) {
+    console.error('Notification error:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  wantsNotification,
+  notify
+};
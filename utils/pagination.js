@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+// Cursors are opaque to clients: base64url JSON holding the sort value and
+// _id of the item they point at
+const encodeCursor = (doc, field) => {
+  const value = doc[field];
+  let type = typeof value;
+  if (value instanceof Date) type = 'date';
+  if (value === null || value === undefined) type = 'null';
+
+  const payload = {
+    v: type === 'date' ? value.toISOString() : (type === 'null' ? null : value),
+    t: type,
+    id: doc._id.toString()
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!payload || !mongoose.isValidObjectId(payload.id)) {
+      return null;
+    }
+
+    let value = payload.v;
+    if (payload.t === 'date') value = new Date(payload.v);
+    if (payload.t === 'null') value = null;
+
+    return { value, id: new mongoose.Types.ObjectId(payload.id) };
+  } catch (err) {
+    return null;
+  }
+};
+
+// Read pagination options from the query string. Cursor mode is used when
+// `after` or `before` is given (or paginate=cursor for the first page);
+// otherwise classic page numbers are used.
+const parsePagination = (req, { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || defaultLimit, 1), maxLimit);
+  const { after, before } = req.query;
+
+  if (after && before) {
+    return { error: 'Use either after or before, not both' };
+  }
+
+  if (after || before || req.query.paginate === 'cursor') {
+    const cursor = after || before ? decodeCursor(after || before) : null;
+    if ((after || before) && !cursor) {
+      return { error: 'Invalid pagination cursor' };
+    }
+
+    return {
+      mode: 'cursor',
+      limit,
+      cursor,
+      direction: before ? 'before' : 'after'
+    };
+  }
+
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  return {
+    mode: 'page',
+    limit,
+    page,
+    skip: (page - 1) * limit
+  };
+};
+
+// Filter selecting documents strictly after the cursor in the given order
+const afterCursorFilter = (field, direction, cursor) => {
+  const idOp = direction === -1 ? '$lt' : '$gt';
+  const tieBreak = { [field]: cursor.value, _id: { [idOp]: cursor.id } };
+
+  // null sorts lowest in MongoDB
+  if (cursor.value === null) {
+    return direction === -1
+      ? tieBreak
+      : { $or: [{ [field]: { $ne: null } }, tieBreak] };
+  }
+
+  const conditions = [{ [field]: { [idOp]: cursor.value } }, tieBreak];
+  if (direction === -1) {
+    conditions.push({ [field]: null });
+  }
+  return { $or: conditions };
+};
+
+// Build a URL to the current route with some query params replaced
+const buildUrl = (req, params) => {
+  const query = new URLSearchParams();
+  Object.entries({ ...req.query, ...params }).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      query.set(key, value);
+    }
+  });
+  return `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}?${query.toString()}`;
+};
+
+// Set an RFC 8288 Link header from a { rel: params } map
+const setLinkHeader = (req, res, links) => {
+  const parts = Object.entries(links)
+    .filter(([, params]) => params)
+    .map(([rel, params]) => `<${buildUrl(req, params)}>; rel="${rel}"`);
+
+  if (parts.length > 0) {
+    res.set('Link', parts.join(', '));
+  }
+};
+
+// Describe page-number results and set their Link header
+const pageResult = (req, res, pagination, total) => {
+  const pages = Math.ceil(total / pagination.limit);
+  const { page } = pagination;
+
+  setLinkHeader(req, res, {
+    first: { page: 1 },
+    prev: page > 1 ? { page: page - 1 } : null,
+    next: page < pages ? { page: page + 1 } : null,
+    last: pages > 0 ? { page: pages } : null
+  });
+
+  return {
+    current: page,
+    pages,
+    total
+  };
+};
+
+// Run a paginated find. `build` receives the Mongoose query so routes can
+// add populate/select calls, and `options` are query options applied to
+// both the find and the count. Returns { items, pagination } where
+// pagination is ready to go in the response body.
+const paginate = async (req, res, pagination, { model, filter, sort, build = query => query, options = {} }) => {
+  const { field, direction } = sort;
+
+  if (pagination.mode === 'page') {
+    const items = await build(model.find(filter).setOptions(options))
+      .sort({ [field]: direction, _id: direction })
+      .skip(pagination.skip)
+      .limit(pagination.limit);
+
+    const total = await model.countDocuments(filter).setOptions(options);
+
+    return { items, pagination: pageResult(req, res, pagination, total) };
+  }
+
+  // Walking backwards means querying in reverse order and flipping the result
+  const backwards = pagination.direction === 'before';
+  const queryDirection = backwards ? -direction : direction;
+
+  const conditions = [filter];
+  if (pagination.cursor) {
+    conditions.push(afterCursorFilter(field, queryDirection, pagination.cursor));
+  }
+
+  let items = await build(model.find(conditions.length > 1 ? { $and: conditions } : filter).setOptions(options))
+    .sort({ [field]: queryDirection, _id: queryDirection })
+    .limit(pagination.limit + 1);
+
+  const hasMore = items.length > pagination.limit;
+  items = items.slice(0, pagination.limit);
+  if (backwards) {
+    items.reverse();
+  }
+
+  const first = items[0];
+  const last = items[items.length - 1];
+  const hasNext = backwards ? Boolean(pagination.cursor) : hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(pagination.cursor);
+
+  const next = hasNext && last ? encodeCursor(last, field) : null;
+  const prev = hasPrev && first ? encodeCursor(first, field) : null;
+
+  setLinkHeader(req, res, {
+    next: next ? { after: next, before: undefined, page: undefined } : null,
+    prev: prev ? { before: prev, after: undefined, page: undefined } : null
+  });
+
+  return {
+    items,
+    pagination: {
+      limit: pagination.limit,
+      next,
+      prev
+    }
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  parsePagination,
+  setLinkHeader,
+  pageResult,
+  paginate
+};
@@ -0,0 +1,112 @@
+// Permission vocabulary used by roles and the requirePermission middleware
+const PERMISSIONS = [
+  'posts:create',
+  'posts:publish',
+  'posts:review',
+  'posts:feature',
+  'posts:update:any',
+  'posts:delete:any',
+  'comments:create',
+  'comments:update:any',
+  'comments:delete:any',
+  'comments:moderate',
+  'reports:manage',
+  'categories:manage',
+  'tags:manage',
+  'analytics:read',
+  'users:read',
+  'users:manage',
+  'roles:manage'
+];
+
+// Grants every permission
+const SUPERUSER_PERMISSION = 'admin';
+
+// Coarse permissions from the original role schema, kept so older role
+// documents keep working until they are migrated
+const LEGACY_PERMISSIONS = {
+  read: [],
+  write: ['posts:create', 'comments:create'],
+  delete: ['posts:delete:any', 'comments:delete:any']
+};
+
+// Built-in roles created by the seeder
+const DEFAULT_ROLES = [
+  {
+    name: 'user',
+    description: 'Regular user who can write posts for review and comment',
+    permissions: ['posts:create', 'comments:create'],
+    isSystem: true
+  },
+  {
+    name: 'author',
+    description: 'Author who can write and publish posts',
+    permissions: ['posts:create', 'posts:publish', 'comments:create']
+  },
+  {
+    name: 'editor',
+    description: 'Editor who reviews, publishes, features and edits any post',
+    permissions: [
+      'posts:create',
+      'posts:publish',
+      'posts:review',
+      'posts:feature',
+      'posts:update:any',
+      'posts:delete:any',
+      'tags:manage',
+      'reports:manage',
+      'comments:create'
+    ]
+  },
+  {
+    name: 'moderator',
+    description: 'Moderator who manages comments and reports',
+    permissions: [
+      'comments:create',
+      'comments:update:any',
+      'comments:delete:any',
+      'comments:moderate',
+      'reports:manage'
+    ]
+  },
+  {
+    name: 'admin',
+    description: 'Administrator with full permissions',
+    permissions: [SUPERUSER_PERMISSION],
+    isSystem: true
+  }
+];
+
+// Expand a role's stored permissions into the full set it grants
+const expandPermissions = (permissions = []) => {
+  if (permissions.includes(SUPERUSER_PERMISSION)) {
+    return [...PERMISSIONS];
+  }
+
+  const expanded = new Set();
+  permissions.forEach(permission => {
+    if (LEGACY_PERMISSIONS[permission]) {
+      LEGACY_PERMISSIONS[permission].forEach(p => expanded.add(p));
+    } else {
+      expanded.add(permission);
+    }
+  });
+  return [...expanded];
+};
+
+// Check whether a user (with populated role) holds a permission
+const hasPermission = (user, permission) => {
+  if (!user || !user.role || !user.role.permissions) {
+    return false;
+  }
+  return expandPermissions(user.role.permissions).includes(permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  SUPERUSER_PERMISSION,
+  LEGACY_PERMISSIONS,
+  DEFAULT_ROLES,
+  expandPermissions,
+  hasPermission
+};
@@ -0,0 +1,91 @@
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const PostRevision = require('../models/PostRevision');
+const PostView = require('../models/PostView');
+const PostDailyStat = require('../models/PostDailyStat');
+const PostReaction = require('../models/PostReaction');
+const Bookmark = require('../models/Bookmark');
+const Report = require('../models/Report');
+const Notification = require('../models/Notification');
+const Series = require('../models/Series');
+const { DELETED_TEXT } = require('./commentTree');
+const { withTransaction } = require('./transaction');
+
+// Days soft-deleted posts and comments are kept before being purged
+const getRetentionDays = () => parseInt(process.env.SOFT_DELETE_RETENTION_DAYS, 10) || 30;
+
+// Permanently remove comments along with reports and notifications about
+// them. Runs in the caller's transaction.
+const removeComments = async (commentIds, session) => {
+  if (commentIds.length === 0) {
+    return;
+  }
+
+  await Report.deleteMany({ targetType: 'comment', target: { $in: commentIds } }, { session });
+  await Notification.deleteMany({ comment: { $in: commentIds } }, { session });
+  await Comment.updateMany(
+    { replies: { $in: commentIds } },
+    { $pull: { replies: { $in: commentIds } } },
+    { session }
+  );
+  await Comment.deleteMany({ _id: { $in: commentIds } }, { session });
+};
+
+// Permanently remove a post and everything that belongs to it
+const purgePost = (postId) => withTransaction(async (session) => {
+  const commentIds = await Comment.find({ post: postId })
+    .setOptions({ withDeleted: true })
+    .session(session)
+    .distinct('_id');
+  await removeComments(commentIds, session);
+
+  const byPost = { post: postId };
+  await Report.deleteMany({ targetType: 'post', target: postId }, { session });
+  await Notification.deleteMany(byPost, { session });
+  await PostRevision.deleteMany(byPost, { session });
+  await PostView.deleteMany(byPost, { session });
+  await PostDailyStat.deleteMany(byPost, { session });
+  await PostReaction.deleteMany(byPost, { session });
+  await Bookmark.deleteMany(byPost, { session });
+  await Series.updateMany({ posts: postId }, { $pull: { posts: postId } }, { session });
+  await Post.deleteOne({ _id: postId }, { session });
+});
+
+// Permanently remove deleted posts and comments past the retention period.
+// A comment that still has replies is emptied out instead, so the thread
+// keeps its shape; it goes once its last reply has gone.
+const purgeDeletedContent = async () => {
+  const cutoff = new Date(Date.now() - getRetentionDays() * 24 * 60 * 60 * 1000);
+
+  const posts = await Post.find({ deletedAt: { $lte: cutoff } }).select('_id');
+  for (const post of posts) {
+    await purgePost(post._id);
+  }
+
+  const comments = await Comment.find({ deletedAt: { $lte: cutoff } }).select('_id text');
+  const removable = [];
+  for (const comment of comments) {
+    const hasReplies = await Comment.exists({ parentComment: comment._id }).setOptions({ withDeleted: true });
+    if (!hasReplies) {
+      removable.push(comment._id);
+    } else if (comment.text !== DELETED_TEXT) {
+      await Comment.updateOne(
+        { _id: comment._id },
+        { text: DELETED_TEXT, likes: [], likesCount: 0, filterFlags: [] }
+      );
+    }
+  }
+  await withTransaction(session => removeComments(removable, session));
+
+  return {
+    posts: posts.length,
+    comments: removable.length
+  };
+};
+
+module.exports = {
+  getRetentionDays,
+  removeComments,
+  purgePost,
+  purgeDeletedContent
+};
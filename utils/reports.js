@@ -0,0 +1,125 @@
+const Report = require('../models/Report');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const { notify } = require('./notifications');
+const { withdrawComment, moderateComment } = require('./moderation');
+
+// Open reports at which content is hidden until a moderator reviews it
+const getHideThreshold = () => parseInt(process.env.REPORT_HIDE_THRESHOLD, 10) || 5;
+
+// Hide reported content from readers; returns true if it was visible
+const hideContent = async (targetType, target) => {
+  if (targetType === 'post') {
+    const result = await Post.updateOne({ _id: target._id, hiddenAt: null }, { hiddenAt: new Date() });
+    return result.modifiedCount > 0;
+  }
+
+  if (target.moderationStatus !== 'approved') {
+    return false;
+  }
+  target.setModeration('pending');
+  await target.save();
+  withdrawComment(target);
+  return true;
+};
+
+// File a report and hide the content once it reaches the threshold.
+// Returns null if the user already has an open report on this content.
+const fileReport = async ({ reporter, targetType, target, reason, details }) => {
+  let report;
+  try {
+    report = await Report.create({
+      reporter: reporter._id,
+      targetType,
+      target: target._id,
+      targetModel: Report.TARGETS[targetType],
+      reason,
+      details
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return null;
+    }
+    throw err;
+  }
+
+  const openReports = await Report.countDocuments({ targetType, target: target._id, status: 'open' });
+  if (openReports >= getHideThreshold() && await hideContent(targetType, target)) {
+    report.triggeredHide = true;
+    await report.save();
+  }
+
+  return report;
+};
+
+// Close every open report on the same content as `report`. Resolving
+// takes the content down (archives the post or rejects the comment);
+// dismissing puts back anything the reports had hidden. Reporters are
+// told either way. Returns the number of reports closed.
+const reviewReports = async (report, status, moderator, note) => {
+  const filter = { targetType: report.targetType, target: report.target, status: 'open' };
+  const reports = await Report.find(filter);
+  if (reports.length === 0) {
+    return 0;
+  }
+
+  await Report.updateMany(filter, {
+    status,
+    reviewedBy: moderator._id,
+    reviewedAt: new Date(),
+    reviewNote: note
+  });
+
+  const wasHidden = reports.some(openReport => openReport.triggeredHide);
+  const reason = Report.REASONS[report.reason].toLowerCase();
+
+  if (report.targetType === 'post') {
+    const post = await Post.findById(report.target);
+    if (post && (status === 'resolved' || post.hiddenAt)) {
+      if (status === 'resolved') {
+        post.status = 'archived';
+      }
+      post.hiddenAt = null;
+      await post.save();
+
+      await notify({
+        recipient: post.author,
+        actor: moderator._id,
+        type: 'post_moderated',
+        post: post._id,
+        message: status === 'resolved'
+          ? `Your post "${post.title}" was removed after being reported for ${reason}`
+          : `Your post "${post.title}" was reviewed and is visible again`
+      });
+    }
+  } else {
+    const comment = await Comment.findById(report.target);
+    if (comment && status === 'resolved') {
+      await moderateComment(comment, 'rejected', moderator, `Removed after being reported for ${reason}`);
+    } else if (comment && wasHidden && comment.moderationStatus === 'pending') {
+      await moderateComment(comment, 'approved', moderator);
+    }
+  }
+
+  const reporters = [...new Set(reports.map(closed => closed.reporter.toString()))];
+  for (const reporter of reporters) {
+    await notify({
+      recipient: reporter,
+      actor: moderator._id,
+      type: 'report_reviewed',
+      post: report.targetType === 'post' ? report.target : null,
+      comment: report.targetType === 'comment' ? report.target : null,
+      message: status === 'resolved'
+        ? `Thanks for your report. The reported ${report.targetType} was removed`
+        : `Thanks for your report. A moderator reviewed the ${report.targetType} and left it up`
+    });
+  }
+
+  return reports.length;
+};
+
+module.exports = {
+  getHideThreshold,
+  fileReport,
+  reviewReports
+};
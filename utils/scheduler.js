@@ -0,0 +1,72 @@
+const Post = require('../models/Post');
+const { purgeDeletedContent } = require('./purge');
+
+// Purging only needs to happen now and then, not on every tick
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+let timer = null;
+let lastPurgeAt = 0;
+
+// Publish scheduled posts whose publish time has passed
+const publishScheduledPosts = async () => {
+  const due = await Post.find({
+    status: 'scheduled',
+    publishAt: { $lte: new Date() }
+  }).select('_id publishAt');
+
+  for (const post of due) {
+    // Conditional update so a post unscheduled in the meantime is left alone
+    await Post.updateOne(
+      { _id: post._id, status: 'scheduled' },
+      { status: 'published', publishedAt: post.publishAt }
+    );
+  }
+
+  return due.length;
+};
+
+// Start running the scheduler on an interval
+const startScheduler = () => {
+  if (timer) {
+    return;
+  }
+
+  const seconds = parseInt(process.env.SCHEDULER_INTERVAL_SECONDS, 10) || 60;
+
+  const run = async () => {
+    try {
+      const published = await publishScheduledPosts();
+      if (published > 0) {
+        console.log(`Scheduler published ${published} post(s)`);
+      }
+
+      if (Date.now() - lastPurgeAt >= PURGE_INTERVAL_MS) {
+        lastPurgeAt = Date.now();
+        const purged = await purgeDeletedContent();
+        if (purged.posts > 0 || purged.comments > 0) {
+          console.log(`Scheduler purged ${purged.posts} post(s) and ${purged.comments} comment(s)`);
+        }
+      }
+    } catch (error) {
+      console.error('Scheduler error:', error);
+    }
+  };
+
+  timer = setInterval(run, seconds * 1000);
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+  run();
+};
+
+const stopScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  publishScheduledPosts,
+  startScheduler,
+  stopScheduler
+};
@@ -4,6 +4,18 @@ const User = require('../models/User');
 const Category = require('../models/Category');
 const Post = require('../models/Post');
 const Comment = require('../models/Comment');
+const Session = require('../models/Session');
+const PostRevision = require('../models/PostRevision');
+const Tag = require('../models/Tag');
+const PostView = require('../models/PostView');
+const PostDailyStat = require('../models/PostDailyStat');
+const PostReaction = require('../models/PostReaction');
+const Bookmark = require('../models/Bookmark');
+const Follow = require('../models/Follow');
+const Notification = require('../models/Notification');
+const Report = require('../models/Report');
+const Series = require('../models/Series');
+const { DEFAULT_ROLES } = require('./permissions');
 require('dotenv').config({ path: './config.env' });
 
 // Connect to MongoDB
@@ -13,18 +25,7 @@ mongoose.connect(process.env.MONGODB_URI, {
 });
 
 // Sample data
-const roles = [
-  {
-    name: 'user',
-    description: 'Regular user with basic permissions',
-    permissions: ['read', 'write']
-  },
-  {
-    name: 'admin',
-    description: 'Administrator with full permissions',
-    permissions: ['read', 'write', 'delete', 'admin']
-  }
-];
+const roles = DEFAULT_ROLES;
 
 const categories = [
   {
@@ -118,6 +119,17 @@ const importData = async () => {
     await Category.deleteMany();
     await Post.deleteMany();
     await Comment.deleteMany();
+    await Session.deleteMany();
+    await PostRevision.deleteMany();
+    await Tag.deleteMany();
+    await PostView.deleteMany();
+    await PostDailyStat.deleteMany();
+    await PostReaction.deleteMany();
+    await Bookmark.deleteMany();
+    await Follow.deleteMany();
+    await Notification.deleteMany();
+    await Report.deleteMany();
+    await Series.deleteMany();
 
     console.log('Data cleared');
 
@@ -135,6 +147,7 @@ const importData = async () => {
       const user = users[i];
       const newUser = await User.create({
         ...user,
+        isEmailVerified: true,
         role: i === 2 ? adminRole._id : userRole._id // Third user is admin
       });
       createdUsers.push(newUser);
@@ -151,6 +164,7 @@ const importData = async () => {
 
     const postData = posts.map((post, index) => ({
       ...post,
+      publishedAt: new Date(),
       author: createdUsers[index % createdUsers.length]._id,
       category: index === 0 ? techCategory._id : 
                 index === 1 ? travelCategory._id : 
@@ -186,6 +200,17 @@ const destroyData = async () => {
     await Category.deleteMany();
     await Post.deleteMany();
     await Comment.deleteMany();
+    await Session.deleteMany();
+    await PostRevision.deleteMany();
+    await Tag.deleteMany();
+    await PostView.deleteMany();
+    await PostDailyStat.deleteMany();
+    await PostReaction.deleteMany();
+    await Bookmark.deleteMany();
+    await Follow.deleteMany();
+    await Notification.deleteMany();
+    await Report.deleteMany();
+    await Series.deleteMany();
 
     console.log('Data destroyed');
     process.exit();
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Series = require('../models/Series');
+const { hasPermission } = require('./permissions');
+
+// Check that posts can be put in a series: they must exist, belong to the
+// series author (unless the user may edit any post) and not already be
+// part of another series. Returns { postIds } or { status, message }.
+const checkSeriesPosts = async (values, user, series) => {
+  const ids = [...new Set(values.map(String))];
+  if (ids.some(id => !mongoose.isValidObjectId(id))) {
+    return { status: 400, message: 'Posts must be valid ids' };
+  }
+
+  const posts = await Post.find({ _id: { $in: ids } }).select('author');
+  if (posts.length !== ids.length) {
+    return { status: 404, message: 'Post not found' };
+  }
+
+  const authorId = series.author._id || series.author;
+  if (posts.some(post => !post.author.equals(authorId)) && !hasPermission(user, 'posts:update:any')) {
+    return { status: 403, message: 'Only posts by the series author can be added to it' };
+  }
+
+  const other = await Series.findOne({ _id: { $ne: series._id }, posts: { $in: ids } }).select('title');
+  if (other) {
+    return { status: 409, message: `A post is already part of the series "${other.title}"` };
+  }
+
+  return { postIds: ids.map(id => new mongoose.Types.ObjectId(id)) };
+};
+
+// Whether a save failed because a post was added to another series at the
+// same time (the unique index on posts caught what checkSeriesPosts missed)
+const isSeriesPostConflict = (err) => err.code === 11000 && Boolean(err.keyPattern && err.keyPattern.posts);
+
+// Series info for a post: its position among the series' visible parts
+// and links to the previous and next ones. The post itself always counts,
+// so authors previewing a draft see where it will go. Returns null when
+// the post is not in a series.
+const getSeriesNavigation = async (post) => {
+  const series = await Series.findOne({ posts: post._id });
+  if (!series) {
+    return null;
+  }
+
+  const visible = await Post.find({ _id: { $in: series.posts }, ...Post.visibleFilter() }).select('title slug');
+  const byId = new Map(visible.map(part => [String(part._id), part]));
+  byId.set(String(post._id), post);
+
+  const parts = series.posts
+    .filter(id => byId.has(String(id)))
+    .map(id => {
+      const part = byId.get(String(id));
+      return { id: part._id, title: part.title, slug: part.slug };
+    });
+  const index = parts.findIndex(part => part.id.equals(post._id));
+
+  return {
+    id: series._id,
+    title: series.title,
+    slug: series.slug,
+    position: index + 1,
+    total: parts.length,
+    previous: parts[index - 1] || null,
+    next: parts[index + 1] || null
+  };
+};
+
+module.exports = {
+  checkSeriesPosts,
+  isSeriesPostConflict,
+  getSeriesNavigation
+};
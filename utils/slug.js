@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+
+const MAX_SLUG_LENGTH = 80;
+
+// Turn arbitrary text into a URL-friendly slug
+const slugify = (text = '') => {
+  const slug = String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/g, '');
+
+  return slug || 'untitled';
+};
+
+// Find a slug based on text that no other document uses, now or in its
+// slug history, appending -2, -3, ... on collision
+const generateUniqueSlug = async (Model, text, excludeId) => {
+  const base = slugify(text);
+  let candidate = base;
+  let suffix = 2;
+
+  while (true) {
+    const query = { $or: [{ slug: candidate }, { previousSlugs: candidate }] };
+    if (excludeId) {
+      query._id = { $ne: excludeId };
+    }
+
+    // Soft-deleted documents keep their slugs in case they are restored
+    const taken = await Model.exists(query).setOptions({ withDeleted: true });
+    if (!taken) {
+      return candidate;
+    }
+
+    const tail = `-${suffix++}`;
+    candidate = `${base.slice(0, MAX_SLUG_LENGTH - tail.length)}${tail}`;
+  }
+};
+
+const MAX_SAVE_ATTEMPTS = 5;
+
+// Whether a save failed because another document took the same slug first
+const isSlugConflict = (err) => err.code === 11000 && Boolean(err.keyPattern && err.keyPattern.slug);
+
+// Schema plugin adding a unique slug derived from `sourceField`, a history
+// of previous slugs, and a resolveSlugOrId static for route lookups. Slugs
+// are set once on create and only change through regenerateSlug(), so
+// editing the source field doesn't break links.
+const slugPlugin = (schema, { sourceField }) => {
+  schema.add({
+    slug: {
+      type: String,
+      unique: true,
+      sparse: true,
+      lowercase: true,
+      trim: true
+    },
+    previousSlugs: {
+      type: [String],
+      index: true,
+      default: []
+    }
+  });
+
+  schema.pre('validate', async function(next) {
+    try {
+      if (this.isNew || !this.slug) {
+        this.slug = await generateUniqueSlug(this.constructor, this[sourceField], this._id);
+      } else if (this.$locals.regenerateSlug) {
+        // Work from the slug the document was loaded with, so a retried save
+        // doesn't put the slug that just collided into the history
+        const { slug: oldSlug, previousSlugs } = this.$locals.regenerateSlug;
+        const newSlug = await generateUniqueSlug(this.constructor, this[sourceField], this._id);
+        if (newSlug !== oldSlug) {
+          // Keep the old slug so existing links can be redirected
+          this.previousSlugs = [...previousSlugs.filter(slug => slug !== newSlug), oldSlug];
+          this.slug = newSlug;
+        }
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  schema.post('save', function() {
+    delete this.$locals.regenerateSlug;
+  });
+
+  // Ask for a new slug from the current source field on the next save
+  schema.methods.regenerateSlug = function() {
+    if (!this.$locals.regenerateSlug) {
+      this.$locals.regenerateSlug = { slug: this.slug, previousSlugs: [...this.previousSlugs] };
+    }
+    return this;
+  };
+
+  // Save, retrying when a concurrent save took the chosen slug between the
+  // uniqueness check and the write. The slug is picked again on each attempt.
+  schema.methods.saveWithUniqueSlug = async function(options) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.save(options);
+      } catch (err) {
+        const retry = this.isNew || this.$locals.regenerateSlug;
+        if (!isSlugConflict(err) || !retry || attempt >= MAX_SAVE_ATTEMPTS) {
+          throw err;
+        }
+      }
+    }
+  };
+
+  // Resolve a route parameter that may be an ObjectId, a current slug or an
+  // old slug. Returns { _id, slug, redirected } where redirected is true when
+  // an old slug matched, or null if nothing matched.
+  schema.statics.resolveSlugOrId = async function(value) {
+    const lookups = [];
+    if (mongoose.isValidObjectId(value)) {
+      lookups.push({ _id: value });
+    }
+    const slug = String(value).toLowerCase();
+    lookups.push({ slug }, { previousSlugs: slug });
+
+    for (const query of lookups) {
+      const doc = await this.findOne(query).select('_id slug').lean();
+      if (doc) {
+        return {
+          _id: doc._id,
+          slug: doc.slug,
+          redirected: Boolean(query.previousSlugs)
+        };
+      }
+    }
+    return null;
+  };
+};
+
+module.exports = {
+  slugify,
+  generateUniqueSlug,
+  slugPlugin
+};
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Query operations that skip soft-deleted documents unless asked not to
+const FILTERED_QUERIES = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct'];
+
+// Schema plugin for soft deletion. Adds deletedAt/deletedBy, hides
+// deleted documents from queries and aggregations by default, and adds
+// softDelete/restore methods. Pass { withDeleted: true } as a query or
+// aggregate option to include deleted documents, or filter on deletedAt
+// explicitly.
+const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  });
+
+  schema.pre(FILTERED_QUERIES, function() {
+    if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) {
+      return;
+    }
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function() {
+    if (this.options.withDeleted) {
+      return;
+    }
+
+    // Fold into a leading $match so $text and similar stay the first stage
+    const pipeline = this.pipeline();
+    if (pipeline.length > 0 && pipeline[0].$match) {
+      if (pipeline[0].$match.deletedAt === undefined) {
+        pipeline[0].$match = { ...pipeline[0].$match, deletedAt: null };
+      }
+    } else {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    }
+  });
+
+  schema.methods.softDelete = function(userId, { at = new Date(), session = null } = {}) {
+    this.deletedAt = at;
+    this.deletedBy = userId || null;
+    return this.save({ session });
+  };
+
+  schema.methods.restore = function({ session = null } = {}) {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    return this.save({ session });
+  };
+};
+
+module.exports = {
+  softDeletePlugin
+};
@@ -0,0 +1,55 @@
+const HEARTBEAT_MS = 25 * 1000;
+
+// Turn a response into a Server-Sent Events stream. Returns a `send`
+// function and a `close` function; `onClose` runs once when the stream
+// ends, whether the client disconnected or we closed it.
+const openStream = (req, res, onClose) => {
+  let nextId = 1;
+  let closed = false;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx and similar proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Tell EventSource how long to wait before reconnecting
+  res.write('retry: 5000\n\n');
+
+  const send = (event, data) => {
+    if (closed) {
+      return;
+    }
+    res.write(`id: ${nextId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Comment lines keep idle connections from being dropped
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+  }, HEARTBEAT_MS);
+
+  const cleanup = () => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    clearInterval(heartbeat);
+    onClose();
+  };
+
+  const close = () => {
+    cleanup();
+    res.end();
+  };
+
+  req.on('close', cleanup);
+
+  return { send, close };
+};
+
+module.exports = {
+  openStream
+};
@@ -0,0 +1,47 @@
+const { hashToken, generateToken } = require('./tokens');
+
+// EventSource can't send headers, so stream URLs carry a ticket instead of
+// the access token: single use, short-lived, and useless once the stream
+// is open. Tickets live in memory, like the event bus they give access to.
+const TICKET_TTL_MS = 60 * 1000;
+
+// Ticket hash -> { user, session, expiresAt }
+const tickets = new Map();
+
+const pruneExpired = (now) => {
+  for (const [hash, entry] of tickets) {
+    if (entry.expiresAt <= now) {
+      tickets.delete(hash);
+    }
+  }
+};
+
+// Issue a ticket for a user's session; returns { ticket, expiresAt }
+const issueStreamTicket = (user, session) => {
+  const now = Date.now();
+  pruneExpired(now);
+
+  const ticket = generateToken();
+  const expiresAt = now + TICKET_TTL_MS;
+  tickets.set(hashToken(ticket), { user: user._id, session: session._id, expiresAt });
+
+  return { ticket, expiresAt: new Date(expiresAt) };
+};
+
+// Use up a ticket; returns { user, session } ids, or null if the ticket is
+// unknown, already used or expired
+const redeemStreamTicket = (ticket) => {
+  const hash = hashToken(String(ticket));
+  const entry = tickets.get(hash);
+  tickets.delete(hash);
+
+  if (!entry || entry.expiresAt <= Date.now()) {
+    return null;
+  }
+  return { user: entry.user, session: entry.session };
+};
+
+module.exports = {
+  issueStreamTicket,
+  redeemStreamTicket
+};
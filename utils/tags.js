@@ -0,0 +1,29 @@
+const MAX_TAG_LENGTH = 30;
+
+// Fold case and whitespace so "Node JS", " node  js" and "#node-js" all
+// become "node-js"
+const normalizeTag = (tag) => String(tag)
+  .trim()
+  .toLowerCase()
+  .replace(/^#+/, '')
+  .replace(/[\s_]+/g, '-')
+  .replace(/-+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, MAX_TAG_LENGTH);
+
+// Normalize a list of tags (or a comma separated string), dropping
+// empties and duplicates while keeping order
+const normalizeTags = (tags) => {
+  if (!tags) {
+    return [];
+  }
+
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  return [...new Set(list.map(normalizeTag).filter(Boolean))];
+};
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  normalizeTag,
+  normalizeTags
+};
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+
+// Hash a token before storing or looking it up
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Generate a random opaque token
+const generateToken = () => crypto.randomBytes(40).toString('hex');
+
+const getRefreshExpiry = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+// Start a new session for a user and return its token pair
+const createSession = async (user, req) => {
+  const refreshToken = generateToken();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: getRefreshExpiry(),
+    userAgent: req.get('user-agent') || '',
+    ip: req.ip || ''
+  });
+
+  return {
+    token: user.getSignedJwtToken(session._id),
+    refreshToken
+  };
+};
+
+// Exchange a refresh token for a new token pair, rotating the refresh token.
+// The swap is a single conditional update, so of two requests racing with
+// the same token only one wins; the other gets null. The session keeps the
+// expiry it was created with, so refreshing can't extend it forever.
+const rotateSession = async (session, user) => {
+  const newRefreshToken = generateToken();
+  const now = new Date();
+
+  const rotated = await Session.findOneAndUpdate(
+    {
+      _id: session._id,
+      refreshTokenHash: session.refreshTokenHash,
+      revokedAt: null,
+      expiresAt: { $gt: now }
+    },
+    {
+      previousTokenHash: session.refreshTokenHash,
+      refreshTokenHash: hashToken(newRefreshToken),
+      lastUsedAt: now
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    return null;
+  }
+
+  return {
+    token: user.getSignedJwtToken(session._id),
+    refreshToken: newRefreshToken
+  };
+};
+
+module.exports = {
+  hashToken,
+  generateToken,
+  createSession,
+  rotateSession
+};
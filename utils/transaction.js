@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+let transactionsSupported = true;
+
+// Standalone servers (typical in development) reject transactions
+const isTransactionUnsupported = (err) => err && (
+  err.code === 20 ||
+  /replica set|Transaction numbers/i.test(err.message || '')
+);
+
+// Run `work(session)` inside a transaction, retrying on transient errors.
+// Every query in `work` must pass the session along. On a server without
+// transaction support the work runs once without one (session is null)
+// and a warning is logged the first time.
+const withTransaction = async (work) => {
+  if (!transactionsSupported) {
+    return work(null);
+  }
+
+  const session = await mongoose.startSession();
+  let result;
+  try {
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (err) {
+    if (!isTransactionUnsupported(err)) {
+      throw err;
+    }
+    transactionsSupported = false;
+    console.warn('MongoDB transactions are unavailable (not a replica set); running cascades without them');
+    return work(null);
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  withTransaction
+};
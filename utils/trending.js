@@ -0,0 +1,226 @@
+const Comment = require('../models/Comment');
+const Post = require('../models/Post');
+const PostView = require('../models/PostView');
+const PostReaction = require('../models/PostReaction');
+
+const HOUR = 60 * 60 * 1000;
+
+// Supported windows; the half-life controls how fast activity fades
+const TRENDING_WINDOWS = {
+  '24h': { duration: 24 * HOUR, halfLife: 6 * HOUR },
+  '7d': { duration: 7 * 24 * HOUR, halfLife: 36 * HOUR },
+  '30d': { duration: 30 * 24 * HOUR, halfLife: 7 * 24 * HOUR }
+};
+
+// Read a weight from the environment; 0 is valid and switches a signal off
+const readWeight = (value, fallback) => {
+  const weight = parseFloat(value);
+  return Number.isNaN(weight) ? fallback : weight;
+};
+
+const getWeights = () => ({
+  views: readWeight(process.env.TRENDING_WEIGHT_VIEWS, 1),
+  comments: readWeight(process.env.TRENDING_WEIGHT_COMMENTS, 5),
+  likes: readWeight(process.env.TRENDING_WEIGHT_LIKES, 3)
+});
+
+// Aggregation expression for 0.5 ^ (age / halfLife) of a date field
+const decayExpression = (dateField, now, halfLife) => ({
+  $pow: [0.5, { $divide: [{ $subtract: [now, dateField] }, halfLife] }]
+});
+
+// Rank visible posts by time-decayed activity within a window.
+// Each view, comment and post reaction counts by its own age; comment
+// likes count with the comment they were left on.
+const getTrendingPosts = async ({ window = '7d', limit = 10, category } = {}) => {
+  const { duration, halfLife } = TRENDING_WINDOWS[window];
+  const now = new Date();
+  const since = new Date(now.getTime() - duration);
+  const weights = getWeights();
+
+  // Candidates: posts published in the window, or with recent activity
+  const commentedPostIds = await Comment.distinct('post', {
+    createdAt: { $gte: since },
+    isApproved: true
+  });
+  const viewedPostIds = await PostView.distinct('post', { createdAt: { $gte: since } });
+  const reactedPostIds = await PostReaction.distinct('post', { createdAt: { $gte: since } });
+  const activePostIds = [...commentedPostIds, ...viewedPostIds, ...reactedPostIds];
+
+  const match = {
+    $and: [
+      Post.visibleFilter(now),
+      {
+        $or: [
+          { publishedAt: { $gte: since } },
+          { createdAt: { $gte: since } },
+          { _id: { $in: activePostIds } }
+        ]
+      }
+    ]
+  };
+  if (category) {
+    match.category = category;
+  }
+
+  return Post.aggregate([
+    { $match: match },
+    {
+      $lookup: {
+        from: 'postviews',
+        let: { postId: '$_id' },
+        pipeline: [
+          {
+            $match: {
+              $expr: { $eq: ['$post', '$$postId'] },
+              createdAt: { $gte: since }
+            }
+          },
+          {
+            $group: {
+              _id: null,
+              count: { $sum: 1 },
+              viewScore: { $sum: decayExpression('$createdAt', now, halfLife) }
+            }
+          }
+        ],
+        as: 'views'
+      }
+    },
+    {
+      $lookup: {
+        from: 'postreactions',
+        let: { postId: '$_id' },
+        pipeline: [
+          {
+            $match: {
+              $expr: { $eq: ['$post', '$$postId'] },
+              createdAt: { $gte: since }
+            }
+          },
+          {
+            $group: {
+              _id: null,
+              count: { $sum: 1 },
+              reactionScore: { $sum: decayExpression('$createdAt', now, halfLife) }
+            }
+          }
+        ],
+        as: 'reactions'
+      }
+    },
+    {
+      $lookup: {
+        from: 'comments',
+        let: { postId: '$_id' },
+        pipeline: [
+          {
+            $match: {
+              $expr: { $eq: ['$post', '$$postId'] },
+              isApproved: true,
+              deletedAt: null,
+              createdAt: { $gte: since }
+            }
+          },
+          {
+            $project: {
+              decay: decayExpression('$createdAt', now, halfLife),
+              likes: { $size: { $ifNull: ['$likes', []] } }
+            }
+          },
+          {
+            $group: {
+              _id: null,
+              count: { $sum: 1 },
+              commentScore: { $sum: '$decay' },
+              likeScore: { $sum: { $multiply: ['$likes', '$decay'] } }
+            }
+          }
+        ],
+        as: 'activity'
+      }
+    },
+    {
+      $addFields: {
+        activity: { $arrayElemAt: ['$activity', 0] },
+        views: { $arrayElemAt: ['$views', 0] },
+        reactions: { $arrayElemAt: ['$reactions', 0] }
+      }
+    },
+    {
+      $addFields: {
+        recentViews: { $ifNull: ['$views.count', 0] },
+        recentComments: { $ifNull: ['$activity.count', 0] },
+        recentReactions: { $ifNull: ['$reactions.count', 0] },
+        score: {
+          $add: [
+            { $multiply: [weights.views, { $ifNull: ['$views.viewScore', 0] }] },
+            { $multiply: [weights.comments, { $ifNull: ['$activity.commentScore', 0] }] },
+            { $multiply: [weights.likes, { $ifNull: ['$activity.likeScore', 0] }] },
+            { $multiply: [weights.likes, { $ifNull: ['$reactions.reactionScore', 0] }] }
+          ]
+        }
+      }
+    },
+    { $sort: { score: -1, publishedAt: -1 } },
+    { $limit: limit },
+    {
+      $lookup: {
+        from: 'users',
+        localField: 'author',
+        foreignField: '_id',
+        as: 'author'
+      }
+    },
+    {
+      $lookup: {
+        from: 'categories',
+        localField: 'category',
+        foreignField: '_id',
+        as: 'category'
+      }
+    },
+    {
+      $addFields: {
+        author: { $arrayElemAt: ['$author', 0] },
+        category: { $arrayElemAt: ['$category', 0] }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        id: '$_id',
+        title: 1,
+        slug: 1,
+        excerpt: 1,
+        author: {
+          id: '$author._id',
+          name: '$author.name',
+          avatar: '$author.avatar'
+        },
+        category: {
+          id: '$category._id',
+          name: '$category.name',
+          slug: '$category.slug'
+        },
+        tags: 1,
+        featuredImage: 1,
+        viewCount: 1,
+        isFeatured: 1,
+        reactions: '$reactionCounts',
+        bookmarksCount: 1,
+        recentViews: 1,
+        recentComments: 1,
+        recentReactions: 1,
+        score: { $round: ['$score', 4] },
+        publishedAt: 1,
+        createdAt: 1
+      }
+    }
+  ]);
+};
+
+module.exports = {
+  TRENDING_WINDOWS,
+  getTrendingPosts
+};
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const Post = require('../models/Post');
+const PostView = require('../models/PostView');
+const PostDailyStat = require('../models/PostDailyStat');
+
+const BOT_PATTERN = /bot|crawl|spider|slurp|preview|facebookexternalhit|headless|curl|wget|python-requests/i;
+
+// UTC day as YYYY-MM-DD
+const toDay = (date) => date.toISOString().slice(0, 10);
+
+// Identify the visitor without storing their raw IP address
+const getVisitorId = (req) => {
+  if (req.user) {
+    return `user:${req.user._id}`;
+  }
+
+  const fingerprint = `${req.ip}|${req.get('user-agent') || ''}|${process.env.JWT_SECRET}`;
+  return `anon:${crypto.createHash('sha256').update(fingerprint).digest('hex')}`;
+};
+
+// Reduce the Referer header to its host
+const getReferrer = (req) => {
+  const referer = req.get('referer');
+  if (!referer) {
+    return 'direct';
+  }
+
+  try {
+    return new URL(referer).hostname || 'direct';
+  } catch (err) {
+    return 'unknown';
+  }
+};
+
+// Record a view of a post if it should count: not a bot, not the author,
+// and not a repeat by the same visitor within the dedupe window.
+// Returns true when the view was counted.
+const recordView = async (post, req) => {
+  const userAgent = req.get('user-agent') || '';
+  if (!userAgent || BOT_PATTERN.test(userAgent)) {
+    return false;
+  }
+
+  const authorId = post.author._id || post.author;
+  if (req.user && authorId.toString() === req.user._id.toString()) {
+    return false;
+  }
+
+  const now = new Date();
+  const windowMs = (parseInt(process.env.VIEW_DEDUPE_MINUTES, 10) || 30) * 60 * 1000;
+  const visitor = getVisitorId(req);
+  const day = toDay(now);
+
+  // Upsert so concurrent requests from the same visitor only count once
+  const result = await PostView.updateOne(
+    { post: post._id, visitor, bucket: Math.floor(now.getTime() / windowMs) },
+    { $setOnInsert: { day, referrer: getReferrer(req) } },
+    { upsert: true }
+  );
+
+  if (!result.upsertedCount) {
+    return false;
+  }
+
+  const seenToday = await PostView.countDocuments({ post: post._id, day, visitor });
+
+  await PostDailyStat.updateOne(
+    { post: post._id, day },
+    { $inc: { views: 1, uniqueVisitors: seenToday === 1 ? 1 : 0 } },
+    { upsert: true }
+  );
+  await Post.updateOne({ _id: post._id }, { $inc: { viewCount: 1 } });
+
+  return true;
+};
+
+// View statistics for a post over the last `days` days
+const getPostStats = async (post, days) => {
+  const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000);
+  const sinceDay = toDay(since);
+
+  const daily = await PostDailyStat.find({ post: post._id, day: { $gte: sinceDay } }).sort({ day: 1 });
+  const byDay = {};
+  daily.forEach(stat => {
+    byDay[stat.day] = stat;
+  });
+
+  // Fill in days without views so the series has no gaps
+  const viewsPerDay = [];
+  for (let i = 0; i < days; i++) {
+    const day = toDay(new Date(since.getTime() + i * 24 * 60 * 60 * 1000));
+    viewsPerDay.push({
+      day,
+      views: byDay[day] ? byDay[day].views : 0,
+      uniqueVisitors: byDay[day] ? byDay[day].uniqueVisitors : 0
+    });
+  }
+
+  const [uniqueVisitors] = await PostView.aggregate([
+    { $match: { post: post._id, day: { $gte: sinceDay } } },
+    { $group: { _id: '$visitor' } },
+    { $count: 'count' }
+  ]);
+
+  const referrers = await PostView.aggregate([
+    { $match: { post: post._id, day: { $gte: sinceDay } } },
+    { $group: { _id: '$referrer', views: { $sum: 1 } } },
+    { $sort: { views: -1 } },
+    { $limit: 20 },
+    { $project: { _id: 0, referrer: '$_id', views: 1 } }
+  ]);
+
+  return {
+    totalViews: post.viewCount,
+    periodViews: viewsPerDay.reduce((sum, day) => sum + day.views, 0),
+    uniqueVisitors: uniqueVisitors ? uniqueVisitors.count : 0,
+    viewsPerDay,
+    referrers
+  };
+};
+
+module.exports = {
+  recordView,
+  getPostStats
+};